@@ -1,6 +1,20 @@
+import { getFormatLabel } from './barcode-formats.js';
+import { BarcodeScanner, DEBUG_VIEWS, DETECTOR_DEFINITIONS, SCHEDULE_PRESETS } from './barcode-scanner.js';
+import { ScanBridge } from './bridge.js';
+import { getNormalizedValues } from './check-digits.js';
+import { createExportFileName, EXPORT_FORMATS, exportHistory, exportInventory, exportResults } from './export.js';
+import { ScanFeedback } from './feedback.js';
+import { formatHeaders, parseHeaders, ScanForwarder, TEMPLATE_PLACEHOLDERS } from './forwarder.js';
+import { parseGS1 } from './gs1.js';
+import { groupScans, NO_SESSION_ID, OutboxStore, ScanHistoryStore } from './history-store.js';
+import { INVENTORY_STATUS_LABELS, InventoryCount, parseManifestCsv } from './inventory.js';
+import { classifyPayload, describePayload, getPayloadActions, PAYLOAD_TYPE_LABELS } from './payload.js';
+import { registerServiceWorker } from './pwa.js';
+import { scanOnceInModal } from './scan-modal.js';
+import { ZXING_OFFLINE_ERROR_NAME } from './zxing-decoder.js';
+
 const videoEl = document.querySelector('#preview');
 const overlayEl = document.querySelector('#overlay');
-const overlayCtx = overlayEl.getContext('2d', { willReadFrequently: true });
 const permissionHintEl = document.querySelector('#permission-hint');
 const cameraSelectEl = document.querySelector('#camera-select');
 const startButtonEl = document.querySelector('#start-button');
@@ -10,830 +24,1883 @@ const textBoxEl = document.querySelector('#detected-values');
 const resultListEl = document.querySelector('#detected-list');
 const clearButtonEl = document.querySelector('#clear-results');
 const algorithmSelectEl = document.querySelector('#algorithm-select');
+const scheduleSelectEl = document.querySelector('#schedule-select');
+const engineStatsEl = document.querySelector('#engine-stats');
+const formatControlsEl = document.querySelector('#format-controls');
+const confirmReadsEl = document.querySelector('#confirm-reads');
+const confirmFramesEl = document.querySelector('#confirm-frames');
+const confirmChecksumEl = document.querySelector('#confirm-checksum');
+const formatListEl = document.querySelector('#format-list');
 const videoWrapperEl = document.querySelector('.video-wrapper');
+const stillPreviewEl = document.querySelector('#still-preview');
+const imageButtonEl = document.querySelector('#image-button');
+const imageInputEl = document.querySelector('#image-input');
+const scanWindowToggleEl = document.querySelector('#scan-window-toggle');
+const preprocessToggleEl = document.querySelector('#preprocess-toggle');
+const highResolutionToggleEl = document.querySelector('#high-resolution-toggle');
+const tilingOptionsEl = document.querySelector('#tiling-options');
+const tileSizeEl = document.querySelector('#tile-size');
+const tileOverlapEl = document.querySelector('#tile-overlap');
+const feedbackSoundToggleEl = document.querySelector('#feedback-sound-toggle');
+const feedbackVibrationToggleEl = document.querySelector('#feedback-vibration-toggle');
+const feedbackFlashToggleEl = document.querySelector('#feedback-flash-toggle');
+const feedbackNoteEl = document.querySelector('#feedback-note');
+const scanOnceValueEl = document.querySelector('#scan-once-value');
+const scanOnceButtonEl = document.querySelector('#scan-once-button');
+const cameraControlsEl = document.querySelector('#camera-controls');
+const torchToggleEl = document.querySelector('#torch-toggle');
+const zoomRangeEl = document.querySelector('#zoom-range');
+const focusModeSelectEl = document.querySelector('#focus-mode-select');
+const focusDistanceRangeEl = document.querySelector('#focus-distance-range');
+const exposureRangeEl = document.querySelector('#exposure-range');
+const sessionSelectEl = document.querySelector('#session-select');
+const newSessionButtonEl = document.querySelector('#new-session-button');
+const deleteSessionButtonEl = document.querySelector('#delete-session-button');
+const historySearchEl = document.querySelector('#history-search');
+const historyFromEl = document.querySelector('#history-from');
+const historyToEl = document.querySelector('#history-to');
+const historySessionFilterEl = document.querySelector('#history-session-filter');
+const historyListEl = document.querySelector('#history-list');
+const historyStatusEl = document.querySelector('#history-status');
+const exportSourceEl = document.querySelector('#export-source');
+const exportFormatEl = document.querySelector('#export-format');
+const exportBomEl = document.querySelector('#export-bom');
+const exportDownloadButtonEl = document.querySelector('#export-download');
+const exportShareButtonEl = document.querySelector('#export-share');
+const inventoryToggleEl = document.querySelector('#inventory-toggle');
+const inventoryCooldownEl = document.querySelector('#inventory-cooldown');
+const inventoryManifestButtonEl = document.querySelector('#inventory-manifest-button');
+const inventoryManifestInputEl = document.querySelector('#inventory-manifest-input');
+const inventoryUndoButtonEl = document.querySelector('#inventory-undo');
+const inventoryResetButtonEl = document.querySelector('#inventory-reset');
+const inventorySummaryEl = document.querySelector('#inventory-summary');
+const inventoryListEl = document.querySelector('#inventory-list');
+const updateBannerEl = document.querySelector('#update-banner');
+const updateButtonEl = document.querySelector('#update-button');
+const forwardingToggleEl = document.querySelector('#forwarding-toggle');
+const forwardingUrlEl = document.querySelector('#forwarding-url');
+const forwardingHeadersEl = document.querySelector('#forwarding-headers');
+const forwardingTemplateEl = document.querySelector('#forwarding-template');
+const forwardingNoteEl = document.querySelector('#forwarding-note');
+const forwardingDeviceEl = document.querySelector('#forwarding-device');
+const forwardingBatchEl = document.querySelector('#forwarding-batch');
+const forwardingSaveButtonEl = document.querySelector('#forwarding-save');
+const forwardingRetryButtonEl = document.querySelector('#forwarding-retry');
+const forwardingClearButtonEl = document.querySelector('#forwarding-clear');
+const forwardingStatusEl = document.querySelector('#forwarding-status');
+const diagnosticsToggleEl = document.querySelector('#diagnostics-toggle');
+const diagnosticsBodyEl = document.querySelector('#diagnostics-body');
+const debugViewSelectEl = document.querySelector('#debug-view-select');
+const diagnosticsListEl = document.querySelector('#diagnostics-list');
+const diagnosticsResetButtonEl = document.querySelector('#diagnostics-reset');
 
 const DETECTION_INTERVAL_MS = 250;
 const RESULT_TTL_MS = 8000;
-const DETECTOR_DEFINITIONS = [
-  { id: 'native', label: 'BarcodeDetector' },
-  { id: 'zxing', label: 'ZXing' },
+// 同じ値を直近 5 回の検出のうち 3 回読めたら確定する (チェックディジットで検証できた値は即確定)
+const CONFIRMATION_OPTIONS = { requiredReads: 3, windowFrames: 5, acceptValidChecksum: true };
+// Code 39 にチェック文字 (mod 43) を付けて運用している場合だけ true にする
+const CHECK_DIGIT_OPTIONS = { code39CheckCharacter: false };
+const DEFAULT_SCAN_WINDOW = { x: 0.2, y: 0.3, width: 0.6, height: 0.4 };
+const SCAN_WINDOW_MIN_SIZE = 0.1;
+const SCAN_WINDOW_HANDLE_SIZE = 20;
+const CAMERA_RANGE_CONTROLS = [
+  { key: 'zoom', inputEl: zoomRangeEl },
+  { key: 'focusDistance', inputEl: focusDistanceRangeEl },
+  { key: 'exposureCompensation', inputEl: exposureRangeEl },
 ];
-
-let mediaStream = null;
-let detectionTimer = null;
-let lastResults = new Map();
-let lastOverlayWidth = 0;
-let lastOverlayHeight = 0;
-let lastOverlayDpr = 0;
-const detectorCache = new Map();
-const detectorAvailability = new Map(DETECTOR_DEFINITIONS.map(({ id }) => [id, false]));
-let selectedAlgorithm = null;
-let activeCameraDeviceId = null;
+const HISTORY_DISPLAY_LIMIT = 500;
+const ACTIVE_SESSION_STORAGE_KEY = 'barcode-scanner:active-session';
+const FORMATS_STORAGE_KEY = 'barcode-scanner:formats';
+const PREPROCESS_STORAGE_KEY = 'barcode-scanner:preprocess';
+const SCHEDULE_STORAGE_KEY = 'barcode-scanner:schedule';
+const FORWARDING_STORAGE_KEY = 'barcode-scanner:forwarding';
+const FEEDBACK_STORAGE_KEY = 'barcode-scanner:feedback';
+const CONFIRMATION_STORAGE_KEY = 'barcode-scanner:confirmation';
+// 埋め込み先との連携は URL のパラメーターで有効にする (docs/bridge.md)
+const BRIDGE_ORIGINS_PARAM = 'bridge-origins';
+const BRIDGE_CHANNEL_PARAM = 'bridge-channel';
+const ENGINE_STATS_INTERVAL_MS = 1000;
+const SCAN_ONCE_TIMEOUT_MS = 30000;
+const DIAGNOSTICS_INTERVAL_MS = 1000;
+const ZXING_ERROR_LABELS = {
+  notFound: 'NotFound',
+  format: 'Format',
+  checksum: 'Checksum',
+  other: 'その他',
+};
+// トラック設定のうち、端末の識別子は表示しない
+const HIDDEN_TRACK_SETTINGS = new Set(['deviceId', 'groupId']);
+const ENGINE_LABELS = {
+  native: 'BarcodeDetector',
+  zxing: 'ZXing',
+  both: '両方',
+};
+const NORMALIZED_VALUE_LABELS = {
+  gtin14: 'GTIN-14',
+  upcA: 'UPC-A',
+  ean13: 'EAN-13',
+  isbn10: 'ISBN-10',
+  issn: 'ISSN',
+};
+const FOCUS_MODE_LABELS = {
+  continuous: '連続',
+  'single-shot': 'シングル',
+  manual: '手動',
+  none: '固定',
+};
+
+const scanner = new BarcodeScanner({
+  video: videoEl,
+  overlay: overlayEl,
+  container: videoWrapperEl,
+  interval: DETECTION_INTERVAL_MS,
+  ttl: RESULT_TTL_MS,
+  formats: loadStoredFormats(),
+  confirmation: loadConfirmationOptions(),
+  preprocess: localStorage.getItem(PREPROCESS_STORAGE_KEY) === 'true',
+  schedule: localStorage.getItem(SCHEDULE_STORAGE_KEY) ?? undefined,
+  checkDigits: CHECK_DIGIT_OPTIONS,
+});
+const resultItemEls = new Map();
+let stillImage = null;
+let scanWindowEnabled = false;
+let scanWindow = { ...DEFAULT_SCAN_WINDOW };
+let scanWindowDrag = null;
+// カメラを切り替えても引き継ぐ、ユーザーが変更したトラック設定
+let cameraSettings = {};
+const historyStore = new ScanHistoryStore();
+let historyAvailable = true;
+let historySessions = [];
+let activeSessionId = Number(localStorage.getItem(ACTIVE_SESSION_STORAGE_KEY)) || NO_SESSION_ID;
+let historyRefreshTimer = null;
+let engineStatsTimer = null;
+const inventory = new InventoryCount();
+const forwarder = new ScanForwarder({ store: new OutboxStore(), settings: loadForwardingSettings() });
+let inventoryEnabled = false;
+const feedback = new ScanFeedback(loadFeedbackSettings());
+// 通知済みの値。画面から消えたあとに再び読み取った場合は duplicate として通知する
+const notifiedKeys = new Set();
+let bridge = null;
 
 function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
-function getOverlayMetrics() {
-  const videoWidth = videoEl.videoWidth;
-  const videoHeight = videoEl.videoHeight;
-  const overlayWidth = overlayEl.clientWidth;
-  const overlayHeight = overlayEl.clientHeight;
+function getAlgorithmLabel(type) {
+  return scanner.getAlgorithmLabel(type);
+}
 
-  if (!videoWidth || !videoHeight || !overlayWidth || !overlayHeight) {
-    return null;
+function renderScheduleOptions() {
+  if (!scheduleSelectEl) {
+    return;
   }
 
-  const scale = Math.max(overlayWidth / videoWidth, overlayHeight / videoHeight);
-  const displayedWidth = videoWidth * scale;
-  const displayedHeight = videoHeight * scale;
-  const offsetX = (overlayWidth - displayedWidth) / 2;
-  const offsetY = (overlayHeight - displayedHeight) / 2;
-
-  return { scale, offsetX, offsetY, overlayWidth, overlayHeight };
+  scheduleSelectEl.replaceChildren(
+    ...Object.entries(SCHEDULE_PRESETS).map(([id, { label }]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = `検出ペース: ${label}`;
+      return option;
+    }),
+  );
+  scheduleSelectEl.value = scanner.schedule;
 }
 
-function clearOverlay() {
-  overlayCtx.save();
-  overlayCtx.setTransform(1, 0, 0, 1, 0, 0);
-  overlayCtx.clearRect(0, 0, overlayEl.width, overlayEl.height);
-  overlayCtx.restore();
+function handleScheduleChange() {
+  scanner.setSchedule(scheduleSelectEl.value);
+  localStorage.setItem(SCHEDULE_STORAGE_KEY, scanner.schedule);
+  statusEl.value = `検出ペースを「${SCHEDULE_PRESETS[scanner.schedule].label}」にしました`;
 }
 
-function convertPointsToOverlay(points) {
-  const metrics = getOverlayMetrics();
-  if (!metrics || !Array.isArray(points) || points.length === 0) {
-    return null;
+function updateAlgorithmSelectOptions() {
+  if (!algorithmSelectEl) {
+    return;
   }
 
-  const converted = [];
+  const currentValue = algorithmSelectEl.value;
+  algorithmSelectEl.innerHTML = '';
+  let availableCount = 0;
 
-  for (const point of points) {
-    const x = point?.x ?? point?.getX?.();
-    const y = point?.y ?? point?.getY?.();
-    if (!Number.isFinite(x) || !Number.isFinite(y)) {
-      continue;
+  DETECTOR_DEFINITIONS.forEach(({ id, label }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    const available = scanner.isAvailable(id);
+    option.textContent = available ? label : `${label} (${getUnavailableLabel(id)})`;
+    option.disabled = !available;
+    if (available) {
+      availableCount += 1;
+    }
+    algorithmSelectEl.append(option);
+  });
+
+  if (scanner.algorithm && scanner.isAvailable(scanner.algorithm)) {
+    algorithmSelectEl.value = scanner.algorithm;
+  } else if (scanner.isAvailable(currentValue)) {
+    scanner.setAlgorithm(currentValue);
+    algorithmSelectEl.value = currentValue;
+  } else {
+    const fallback = DETECTOR_DEFINITIONS.find(({ id }) => scanner.isAvailable(id));
+    if (fallback) {
+      scanner.setAlgorithm(fallback.id);
     }
-    converted.push({
-      x: x * metrics.scale + metrics.offsetX,
-      y: y * metrics.scale + metrics.offsetY,
+    algorithmSelectEl.value = fallback?.id ?? '';
+  }
+
+  algorithmSelectEl.disabled = availableCount === 0;
+}
+
+function getUnavailableLabel(type) {
+  const reason = scanner.getUnavailableReason(type);
+  return reason?.name === ZXING_OFFLINE_ERROR_NAME ? 'オフラインのため利用不可' : '未対応';
+}
+
+function isZXingOffline() {
+  return DETECTOR_DEFINITIONS.some(({ id }) => scanner.getUnavailableReason(id)?.name === ZXING_OFFLINE_ERROR_NAME);
+}
+
+async function prepareDetectorOptions() {
+  await scanner.checkAvailability();
+  updateAlgorithmSelectOptions();
+
+  if (isZXingOffline()) {
+    statusEl.value = 'オフラインのため ZXing を読み込めません。接続後に自動で再試行します';
+  }
+}
+
+// オフラインで読み込めなかった ZXing を、接続が戻ったら読み込み直す
+async function handleOnline() {
+  if (!isZXingOffline()) {
+    return;
+  }
+
+  await prepareDetectorOptions();
+  await renderFormatOptions();
+  statusEl.value = '接続が戻ったため、検出アルゴリズムを読み込み直しました';
+}
+
+async function bindServiceWorker() {
+  try {
+    await registerServiceWorker({
+      onUpdate: (apply) => {
+        updateBannerEl.hidden = false;
+        updateButtonEl.onclick = () => {
+          updateButtonEl.disabled = true;
+          apply();
+        };
+      },
     });
+  } catch (error) {
+    console.warn('サービスワーカーの登録に失敗しました', error);
   }
+}
 
-  return converted.length ? converted : null;
+function formatHitRate(stats) {
+  if (!stats) {
+    return '利用できません';
+  }
+  const { runs, hits, exclusive } = stats;
+  const rate = runs ? Math.round((hits / runs) * 100) : 0;
+  return `${rate}% (${hits}/${runs}, 単独 ${exclusive} 件)`;
 }
 
-function getBoundingRectFromPoints(points) {
-  if (!Array.isArray(points) || points.length === 0) {
-    return null;
+// 自動選択時に、どちらのエンジンが結果を出しているかを表示する
+function updateEngineStats() {
+  if (!engineStatsEl) {
+    return;
   }
 
-  let minX = Number.POSITIVE_INFINITY;
-  let minY = Number.POSITIVE_INFINITY;
-  let maxX = Number.NEGATIVE_INFINITY;
-  let maxY = Number.NEGATIVE_INFINITY;
+  const stats = scanner.algorithm === 'auto' ? scanner.getEngineStats() : null;
+  engineStatsEl.hidden = !stats;
+  if (stats) {
+    engineStatsEl.value = `検出率 BarcodeDetector ${formatHitRate(stats.native)} / ZXing ${formatHitRate(stats.zxing)}`;
+  }
+}
 
-  for (const point of points) {
-    if (!point) continue;
-    minX = Math.min(minX, point.x);
-    minY = Math.min(minY, point.y);
-    maxX = Math.max(maxX, point.x);
-    maxY = Math.max(maxY, point.y);
+// 検出率は自動で検出している間だけ更新する
+function syncEngineStatsTimer() {
+  updateEngineStats();
+  const active = scanner.algorithm === 'auto' && scanner.state === 'scanning';
+  if (active && !engineStatsTimer) {
+    engineStatsTimer = window.setInterval(updateEngineStats, ENGINE_STATS_INTERVAL_MS);
+  } else if (!active && engineStatsTimer) {
+    window.clearInterval(engineStatsTimer);
+    engineStatsTimer = null;
   }
+}
 
-  if (!Number.isFinite(minX) || !Number.isFinite(minY) || !Number.isFinite(maxX) || !Number.isFinite(maxY)) {
+function loadStoredFormats() {
+  try {
+    const formats = JSON.parse(localStorage.getItem(FORMATS_STORAGE_KEY) ?? 'null');
+    return Array.isArray(formats) ? formats : null;
+  } catch {
     return null;
   }
+}
 
-  return {
-    x: minX,
-    y: minY,
-    width: Math.max(1, maxX - minX),
-    height: Math.max(1, maxY - minY),
-  };
+// 選択中のアルゴリズムが対応するフォーマットだけを一覧に出す
+async function renderFormatOptions() {
+  if (!formatListEl) {
+    return;
+  }
+
+  const supportedFormats = scanner.algorithm ? await scanner.getSupportedFormats() : [];
+  const selected = new Set(scanner.formats ?? []);
+
+  formatListEl.replaceChildren(
+    ...supportedFormats.map((format) => {
+      const label = document.createElement('label');
+      label.className = 'toggle';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = format;
+      checkbox.checked = selected.has(format);
+      label.append(checkbox, getFormatLabel(format));
+      return label;
+    }),
+  );
+  formatControlsEl.hidden = supportedFormats.length === 0;
 }
 
-function convertBoxToOverlay(box) {
-  const metrics = getOverlayMetrics();
-  if (!metrics || !box) {
-    return null;
+async function handleFormatChange() {
+  const checkboxes = Array.from(formatListEl.querySelectorAll('input[type="checkbox"]'));
+  const shown = new Set(checkboxes.map((checkbox) => checkbox.value));
+  // 他のアルゴリズム向けに選んだフォーマットは、一覧に出ていなくても残す
+  const hidden = (scanner.formats ?? []).filter((format) => !shown.has(format));
+  const formats = [...hidden, ...checkboxes.filter((checkbox) => checkbox.checked).map((checkbox) => checkbox.value)];
+  await applyFormats(formats);
+}
+
+async function applyFormats(formats) {
+  scanner.setFormats(formats);
+  localStorage.setItem(FORMATS_STORAGE_KEY, JSON.stringify(scanner.formats));
+
+  // 選択したフォーマットを 1 つも検出できないアルゴリズムは利用不可になる
+  await prepareDetectorOptions();
+  await renderFormatOptions();
+  statusEl.value = scanner.formats
+    ? `${scanner.formats.length} 種類のフォーマットに絞り込みました`
+    : 'すべてのフォーマットを検出します';
+  await rescanStillImage();
+}
+
+async function populateCameraOptions() {
+  if (!navigator.mediaDevices?.enumerateDevices) {
+    return;
   }
 
-  const rawX = box.x * metrics.scale + metrics.offsetX;
-  const rawY = box.y * metrics.scale + metrics.offsetY;
-  const rawWidth = box.width * metrics.scale;
-  const rawHeight = box.height * metrics.scale;
+  const videoDevices = await scanner.listCameras();
 
-  if ([rawX, rawY, rawWidth, rawHeight].some((value) => !Number.isFinite(value))) {
-    return null;
+  const currentValue = cameraSelectEl.value;
+  cameraSelectEl.innerHTML = '';
+
+  videoDevices.forEach((device, index) => {
+    const option = document.createElement('option');
+    option.value = device.deviceId;
+    option.textContent = device.label || `カメラ ${index + 1}`;
+    cameraSelectEl.append(option);
+  });
+
+  if (videoDevices.length === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'カメラが見つかりません';
+    cameraSelectEl.append(option);
   }
 
-  const startX = rawWidth >= 0 ? rawX : rawX + rawWidth;
-  const endX = rawWidth >= 0 ? rawX + rawWidth : rawX;
-  const startY = rawHeight >= 0 ? rawY : rawY + rawHeight;
-  const endY = rawHeight >= 0 ? rawY + rawHeight : rawY;
+  let desiredValue = scanner.activeDeviceId || currentValue;
+  if (!desiredValue && videoDevices.length > 0) {
+    desiredValue = videoDevices[0].deviceId;
+  }
 
-  const clampedStartX = clamp(startX, 0, metrics.overlayWidth);
-  const clampedEndX = clamp(endX, 0, metrics.overlayWidth);
-  const clampedStartY = clamp(startY, 0, metrics.overlayHeight);
-  const clampedEndY = clamp(endY, 0, metrics.overlayHeight);
+  if (desiredValue && cameraSelectEl.querySelector(`option[value="${desiredValue}"]`)) {
+    cameraSelectEl.value = desiredValue;
+  } else if (videoDevices.length > 0) {
+    cameraSelectEl.value = videoDevices[0].deviceId;
+  } else {
+    cameraSelectEl.value = '';
+  }
 
-  const width = clampedEndX - clampedStartX;
-  const height = clampedEndY - clampedStartY;
+  scanner.activeDeviceId = cameraSelectEl.value || scanner.activeDeviceId;
+}
 
-  if (width <= 0 || height <= 0) {
-    return null;
+function isRangeCapability(range) {
+  return Number.isFinite(range?.min) && Number.isFinite(range?.max) && range.max > range.min;
+}
+
+function setCameraControlVisible(key, visible) {
+  const controlEl = cameraControlsEl?.querySelector(`[data-capability="${key}"]`);
+  if (controlEl) {
+    controlEl.hidden = !visible;
   }
+  return visible;
+}
 
-  return {
-    x: clampedStartX,
-    y: clampedStartY,
-    width: Math.max(1, width),
-    height: Math.max(1, height),
-  };
+function hideCameraControls() {
+  if (cameraControlsEl) {
+    cameraControlsEl.hidden = true;
+  }
 }
 
-class NativeBarcodeDetector {
-  constructor(formats) {
-    const options = Array.isArray(formats) && formats.length ? { formats } : undefined;
-    this.detector = new window.BarcodeDetector(options);
+async function setupCameraControls(track) {
+  if (!cameraControlsEl) {
+    return;
   }
 
-  async detect(video) {
-    if (!video || video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
-      return [];
+  const capabilities = track?.getCapabilities?.() ?? {};
+  const settings = track?.getSettings?.() ?? {};
+  const constraints = {};
+  let visibleCount = 0;
+
+  if (setCameraControlVisible('torch', Boolean(capabilities.torch))) {
+    visibleCount += 1;
+    torchToggleEl.checked = cameraSettings.torch ?? Boolean(settings.torch);
+    if ('torch' in cameraSettings) {
+      constraints.torch = cameraSettings.torch;
     }
+  }
 
-    try {
-      const rawResults = await this.detector.detect(video);
-      return rawResults.map((result) => {
-        const cornerPoints = Array.isArray(result.cornerPoints)
-          ? result.cornerPoints
-              .map((point) => {
-                const x = point?.x ?? point?.[0];
-                const y = point?.y ?? point?.[1];
-                if (!Number.isFinite(x) || !Number.isFinite(y)) {
-                  return null;
-                }
-                return { x, y };
-              })
-              .filter(Boolean)
-          : null;
-
-        return {
-          rawValue: result.rawValue,
-          format: result.format || 'unknown',
-          box: {
-            x: result.boundingBox?.x ?? 0,
-            y: result.boundingBox?.y ?? 0,
-            width: result.boundingBox?.width ?? video.videoWidth,
-            height: result.boundingBox?.height ?? video.videoHeight,
-          },
-          points: cornerPoints && cornerPoints.length ? cornerPoints : null,
-        };
-      });
-    } catch (error) {
-      if (error?.name === 'InvalidStateError' || error?.name === 'TypeError') {
-        return [];
-      }
-      throw error;
+  const focusModes = Array.isArray(capabilities.focusMode) ? capabilities.focusMode : [];
+  if (setCameraControlVisible('focusMode', focusModes.length > 1)) {
+    visibleCount += 1;
+    focusModeSelectEl.innerHTML = '';
+    focusModes.forEach((mode) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = FOCUS_MODE_LABELS[mode] ?? mode;
+      focusModeSelectEl.append(option);
+    });
+
+    if (focusModes.includes(cameraSettings.focusMode)) {
+      focusModeSelectEl.value = cameraSettings.focusMode;
+      constraints.focusMode = cameraSettings.focusMode;
+    } else {
+      focusModeSelectEl.value = settings.focusMode ?? focusModes[0];
     }
   }
-}
 
-class ZXingBarcodeDetector {
-  constructor(zxing) {
-    const {
-      MultiFormatReader,
-      GenericMultipleBarcodeReader,
-      DecodeHintType,
-      BarcodeFormat,
-      BinaryBitmap,
-      HybridBinarizer,
-      RGBLuminanceSource,
-      NotFoundException,
-      FormatException,
-      ChecksumException,
-    } = zxing;
-
-    this.BinaryBitmap = BinaryBitmap;
-    this.HybridBinarizer = HybridBinarizer;
-    this.RGBLuminanceSource = RGBLuminanceSource;
-    this.NotFoundException = NotFoundException;
-    this.FormatException = FormatException;
-    this.ChecksumException = ChecksumException;
-    this.BarcodeFormat = BarcodeFormat;
-
-    this.reader = new MultiFormatReader();
-    this.multipleReader = GenericMultipleBarcodeReader
-      ? new GenericMultipleBarcodeReader(this.reader)
-      : null;
-    this.hints = new Map();
-    if (DecodeHintType) {
-      this.hints.set(DecodeHintType.TRY_HARDER, true);
+  for (const { key, inputEl } of CAMERA_RANGE_CONTROLS) {
+    const range = capabilities[key];
+    if (!setCameraControlVisible(key, isRangeCapability(range))) {
+      continue;
+    }
+
+    visibleCount += 1;
+    inputEl.min = String(range.min);
+    inputEl.max = String(range.max);
+    inputEl.step = String(range.step || (range.max - range.min) / 100);
+
+    if (Number.isFinite(cameraSettings[key])) {
+      const value = clamp(cameraSettings[key], range.min, range.max);
+      inputEl.value = String(value);
+      constraints[key] = value;
+    } else {
+      inputEl.value = String(settings[key] ?? range.min);
     }
+  }
+
+  if (constraints.focusDistance !== undefined && focusModes.includes('manual')) {
+    constraints.focusMode = 'manual';
+  }
+
+  cameraControlsEl.hidden = visibleCount === 0;
+
+  if (Object.keys(constraints).length) {
+    await applyCameraConstraints(track, constraints);
+  }
+}
+
+async function applyCameraConstraints(track, constraints) {
+  if (!track?.applyConstraints) {
+    return false;
+  }
+
+  try {
+    await track.applyConstraints({ advanced: [constraints] });
+    return true;
+  } catch (error) {
+    console.warn('カメラ設定の適用に失敗しました', constraints, error);
+    return false;
+  }
+}
+
+async function updateCameraSetting(constraints) {
+  Object.assign(cameraSettings, constraints);
+  const applied = await applyCameraConstraints(scanner.getVideoTrack(), constraints);
+  if (!applied) {
+    statusEl.value = 'カメラ設定を変更できませんでした';
+  }
+}
+
+function handleTorchToggle() {
+  updateCameraSetting({ torch: torchToggleEl.checked });
+}
+
+function handleFocusModeChange() {
+  const constraints = { focusMode: focusModeSelectEl.value };
+  if (constraints.focusMode !== 'manual') {
+    delete cameraSettings.focusDistance;
+  }
+  updateCameraSetting(constraints);
+}
+
+function handleCameraRangeInput(key, inputEl) {
+  const value = Number(inputEl.value);
+  if (!Number.isFinite(value)) {
+    return;
+  }
 
-    this.workerCanvas = document.createElement('canvas');
-    this.workerCtx = this.workerCanvas.getContext('2d', { willReadFrequently: true });
+  const constraints = { [key]: value };
+  // 焦点距離は手動フォーカスでなければ反映されない
+  if (key === 'focusDistance' && Array.from(focusModeSelectEl.options).some((o) => o.value === 'manual')) {
+    constraints.focusMode = 'manual';
+    focusModeSelectEl.value = 'manual';
+  }
+  updateCameraSetting(constraints);
+}
 
-    this._formatNameCache = new Map();
+function bindCameraControls() {
+  torchToggleEl?.addEventListener('change', handleTorchToggle);
+  focusModeSelectEl?.addEventListener('change', handleFocusModeChange);
+  for (const { key, inputEl } of CAMERA_RANGE_CONTROLS) {
+    inputEl?.addEventListener('input', () => handleCameraRangeInput(key, inputEl));
   }
+}
 
-  detect(video) {
-    if (!video || video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
-      return Promise.resolve([]);
+function renderResults() {
+  const ordered = scanner.getResults();
+  const lines = [];
+  const activeKeys = new Set();
+
+  ordered.forEach((result, index) => {
+    lines.push(`${result.rawValue} (${result.format})`);
+
+    // 操作ボタンのクリックが再描画で失われないよう、同じ結果の要素は使い回す
+    let listItem = resultItemEls.get(result.key);
+    if (!listItem || listItem.dataset.value !== (result.rawValue ?? '')) {
+      listItem?.remove();
+      listItem = createResultItem(result);
+      resultItemEls.set(result.key, listItem);
     }
+    updateResultItem(listItem, result);
+    activeKeys.add(result.key);
 
-    const width = video.videoWidth;
-    const height = video.videoHeight;
+    const current = resultListEl.children[index];
+    if (current !== listItem) {
+      resultListEl.insertBefore(listItem, current ?? null);
+    }
+  });
 
-    if (!width || !height) {
-      return Promise.resolve([]);
+  for (const [key, listItem] of Array.from(resultItemEls.entries())) {
+    if (!activeKeys.has(key)) {
+      listItem.remove();
+      resultItemEls.delete(key);
     }
+  }
 
-    this.workerCanvas.width = width;
-    this.workerCanvas.height = height;
-    this.workerCtx.drawImage(video, 0, 0, width, height);
+  textBoxEl.value = lines.join('\n');
 
-    const imageData = this.workerCtx.getImageData(0, 0, width, height);
-    const luminanceBuffer = this._toGrayscale(imageData);
-    const luminanceSource = new this.RGBLuminanceSource(luminanceBuffer, width, height);
-    const binaryBitmap = new this.BinaryBitmap(new this.HybridBinarizer(luminanceSource));
+  if (ordered.length === 0) {
+    textBoxEl.value = '';
+  }
+}
 
-    try {
-      const results = this.multipleReader?.decodeMultiple
-        ? this.multipleReader.decodeMultiple(binaryBitmap, this.hints)
-        : [this.reader.decode(binaryBitmap, this.hints)];
-      this.reader.reset();
-      return Promise.resolve(results.map((result) => this._mapResult(result, width, height)));
-    } catch (error) {
-      this.reader.reset();
+function createResultItem(result) {
+  const listItem = document.createElement('li');
+  listItem.dataset.value = result.rawValue ?? '';
 
-      if (this._isZXingNoResultError(error)) {
-        return Promise.resolve([]);
-      }
+  const valueSpan = document.createElement('span');
+  valueSpan.className = 'result-value';
+  valueSpan.textContent = formatRawValue(result.rawValue) || '(値なし)';
+
+  const metaSpan = document.createElement('span');
+  metaSpan.className = 'result-meta';
+
+  listItem.append(valueSpan, metaSpan);
 
-      console.error('ZXing detection error', error);
-      return Promise.resolve([]);
+  if (result.valid === false) {
+    listItem.classList.add('invalid');
+  }
+
+  const normalized = getNormalizedValues(result.rawValue, result.format);
+  const checkFields = createCheckFields(result, normalized);
+  if (checkFields.length) {
+    listItem.append(createFieldList(checkFields));
+  }
+
+  const gs1 = parseGS1(result.rawValue, result.format);
+  if (gs1) {
+    listItem.append(createGS1FieldList(gs1));
+  }
+
+  const payload = result.rawValue ? classifyPayload(result.rawValue) : null;
+  listItem.dataset.payloadType = payload?.type ?? '';
+
+  const payloadFields = payload ? describePayload(payload) : [];
+  if (payloadFields.length) {
+    listItem.append(createFieldList(payloadFields.map(([term, description]) => ({ term, description }))));
+  }
+
+  const actions = payload ? createPayloadActions(payload, result.rawValue) : [];
+  if (normalized.gtin14) {
+    actions.push(createActionButton('GTIN-14 をコピー', () => copyText(normalized.gtin14, 'GTIN-14 をコピーしました')));
+  }
+  if (actions.length) {
+    const actionsEl = document.createElement('div');
+    actionsEl.className = 'result-actions';
+    actionsEl.append(...actions);
+    listItem.append(actionsEl);
+  }
+
+  return listItem;
+}
+
+function updateResultItem(listItem, result) {
+  const metaSpan = listItem.querySelector('.result-meta');
+  const elapsed = Math.max(0, Math.round((Date.now() - result.lastSeen) / 1000));
+  const type = listItem.dataset.payloadType;
+  const typeLabel = type && type !== 'text' ? ` / ${PAYLOAD_TYPE_LABELS[type]}` : '';
+  const validityLabel = result.valid === false ? ' / チェックディジット不正' : '';
+  const engineLabel = result.algorithm === 'auto' && result.engine ? ` / ${ENGINE_LABELS[result.engine]}` : '';
+  metaSpan.textContent = `${result.format}${typeLabel}${validityLabel}${engineLabel} / ${elapsed} 秒前`;
+}
+
+// チェックディジットの検証結果と、GTIN-14 などに正規化した値
+function createCheckFields(result, normalized) {
+  const fields = [];
+
+  if (result.valid === false) {
+    fields.push({ term: 'チェックディジット', description: result.validationError, error: result.validationError });
+  }
+
+  Object.entries(NORMALIZED_VALUE_LABELS).forEach(([key, term]) => {
+    if (normalized[key]) {
+      fields.push({ term, description: normalized[key] });
+    }
+  });
+
+  return fields;
+}
+
+// GS (FNC1) などの制御文字は見えないため、記号に置き換えて表示する
+function formatRawValue(value) {
+  return String(value ?? '').replace(/\u001d/g, '␝');
+}
+
+function createFieldList(fields) {
+  const listEl = document.createElement('dl');
+  listEl.className = 'result-fields';
+
+  fields.forEach(({ term, description, error }) => {
+    const termEl = document.createElement('dt');
+    termEl.textContent = term;
+    const descriptionEl = document.createElement('dd');
+    descriptionEl.textContent = description;
+    if (error) {
+      descriptionEl.classList.add('invalid');
+      descriptionEl.title = error;
     }
+    listEl.append(termEl, descriptionEl);
+  });
+
+  return listEl;
+}
+
+function createGS1FieldList(gs1) {
+  const fields = [];
+
+  if (gs1.symbology) {
+    fields.push({ term: 'シンボル', description: gs1.symbology });
   }
 
-  _isZXingNoResultError(error) {
-    const matches = (ErrorClass, name) => {
-      if (ErrorClass && error instanceof ErrorClass) {
-        return true;
-      }
-      return error?.name === name;
-    };
+  gs1.elements.forEach((element) => {
+    fields.push({
+      term: `(${element.ai}) ${element.title}`,
+      description: element.valid ? element.display : `${element.value} (${element.error})`,
+      error: element.error,
+    });
+  });
 
-    return (
-      matches(this.NotFoundException, 'NotFoundException') ||
-      matches(this.FormatException, 'FormatException') ||
-      matches(this.ChecksumException, 'ChecksumException')
-    );
+  if (gs1.error) {
+    fields.push({ term: '解析エラー', description: gs1.error, error: gs1.error });
   }
 
-  _mapResult(result, fallbackWidth, fallbackHeight) {
-    const rawPoints = result.getResultPoints?.() ?? [];
-    const points = rawPoints
-      .map((point) => {
-        const x = point?.getX?.();
-        const y = point?.getY?.();
-        if (!Number.isFinite(x) || !Number.isFinite(y)) {
-          return null;
-        }
-        return { x, y };
-      })
-      .filter(Boolean);
-    const box = this._pointsToRect(points, fallbackWidth, fallbackHeight);
+  return createFieldList(fields);
+}
+
+function createActionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'result-action';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createPayloadActions(payload, rawValue) {
+  return getPayloadActions(payload, rawValue).map((action) =>
+    createActionButton(action.label, () => runPayloadAction(action)),
+  );
+}
+
+function runPayloadAction(action) {
+  switch (action.kind) {
+    case 'open':
+      openUrlWithConfirmation(action);
+      break;
+    case 'copy':
+      copyText(action.text, action.message);
+      break;
+    case 'download':
+      downloadFile(action.filename, action.content, action.type);
+      break;
+    case 'navigate':
+      window.location.assign(action.href);
+      break;
+    case 'window':
+      window.open(action.href, '_blank', 'noopener,noreferrer');
+      break;
+  }
+}
+
+function openUrlWithConfirmation({ url, host, hasCredentials }) {
+  const lines = ['次のリンクを開きます。よろしいですか？', '', `ホスト: ${host}`, `URL: ${url}`];
+  if (hasCredentials) {
+    lines.push('', '注意: URL にユーザー名またはパスワードが含まれています');
+  }
+
+  if (window.confirm(lines.join('\n'))) {
+    window.open(url, '_blank', 'noopener,noreferrer');
+  }
+}
+
+async function copyText(text, message) {
+  try {
+    await navigator.clipboard.writeText(text);
+    statusEl.value = message;
+  } catch (error) {
+    console.warn('クリップボードへのコピーに失敗しました', error);
+    statusEl.value = 'クリップボードにコピーできませんでした';
+  }
+}
 
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  document.body.append(anchor);
+  anchor.click();
+  anchor.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function hitTestScanWindow(point) {
+  const rect = scanner.getScanRegionOverlayRect();
+  if (!rect) {
+    return null;
+  }
+
+  const corner = scanner.getScanRegionCorners(rect).find(
+    ({ x, y }) =>
+      Math.abs(point.x - x) <= SCAN_WINDOW_HANDLE_SIZE / 2 && Math.abs(point.y - y) <= SCAN_WINDOW_HANDLE_SIZE / 2,
+  );
+  if (corner) {
+    return corner.mode;
+  }
+
+  const inside =
+    point.x >= rect.x && point.x <= rect.x + rect.width && point.y >= rect.y && point.y <= rect.y + rect.height;
+  return inside ? 'move' : null;
+}
+
+function getOverlayPointer(event) {
+  const rect = overlayEl.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+function applyScanWindowDrag(origin, mode, dx, dy) {
+  if (mode === 'move') {
     return {
-      rawValue: result.getText?.() ?? '',
-      format: this._formatToString(result.getBarcodeFormat?.()),
-      box,
-      points,
+      ...origin,
+      x: clamp(origin.x + dx, 0, 1 - origin.width),
+      y: clamp(origin.y + dy, 0, 1 - origin.height),
     };
   }
 
-  _pointsToRect(points, fallbackWidth, fallbackHeight) {
-    if (!points || !points.length) {
-      return { x: 0, y: 0, width: fallbackWidth, height: fallbackHeight };
-    }
+  let left = origin.x;
+  let top = origin.y;
+  let right = origin.x + origin.width;
+  let bottom = origin.y + origin.height;
 
-    let minX = Number.POSITIVE_INFINITY;
-    let minY = Number.POSITIVE_INFINITY;
-    let maxX = Number.NEGATIVE_INFINITY;
-    let maxY = Number.NEGATIVE_INFINITY;
-
-    for (const point of points) {
-      if (!point) continue;
-      const x = point?.x ?? point?.getX?.();
-      const y = point?.y ?? point?.getY?.();
-      if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
-      minX = Math.min(minX, x);
-      minY = Math.min(minY, y);
-      maxX = Math.max(maxX, x);
-      maxY = Math.max(maxY, y);
-    }
+  if (mode.includes('w')) left = clamp(left + dx, 0, right - SCAN_WINDOW_MIN_SIZE);
+  if (mode.includes('e')) right = clamp(right + dx, left + SCAN_WINDOW_MIN_SIZE, 1);
+  if (mode.includes('n')) top = clamp(top + dy, 0, bottom - SCAN_WINDOW_MIN_SIZE);
+  if (mode.includes('s')) bottom = clamp(bottom + dy, top + SCAN_WINDOW_MIN_SIZE, 1);
 
-    if (!Number.isFinite(minX) || !Number.isFinite(minY) || !Number.isFinite(maxX) || !Number.isFinite(maxY)) {
-      return { x: 0, y: 0, width: fallbackWidth, height: fallbackHeight };
-    }
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
 
-    const padding = 8;
-    const x = Math.max(0, minX - padding);
-    const y = Math.max(0, minY - padding);
-    const width = Math.min(fallbackWidth, maxX + padding) - x;
-    const height = Math.min(fallbackHeight, maxY + padding) - y;
+function handleOverlayPointerDown(event) {
+  if (!scanWindowEnabled) {
+    return;
+  }
 
-    return { x, y, width: Math.max(1, width), height: Math.max(1, height) };
+  const mode = hitTestScanWindow(getOverlayPointer(event));
+  const start = scanner.convertOverlayPointToFrameRatio(getOverlayPointer(event));
+  if (!mode || !start) {
+    return;
   }
 
-  _formatToString(format) {
-    if (this._formatNameCache.has(format)) {
-      return this._formatNameCache.get(format);
-    }
+  event.preventDefault();
+  overlayEl.setPointerCapture?.(event.pointerId);
+  scanWindowDrag = { mode, start, origin: { ...scanWindow } };
+}
 
-    for (const [name, value] of Object.entries(this.BarcodeFormat)) {
-      if (value === format) {
-        this._formatNameCache.set(format, name);
-        return name;
-      }
-    }
+function handleOverlayPointerMove(event) {
+  if (!scanWindowDrag) {
+    const mode = scanWindowEnabled ? hitTestScanWindow(getOverlayPointer(event)) : null;
+    overlayEl.style.cursor = mode === 'move' ? 'move' : mode ? `${mode}-resize` : '';
+    return;
+  }
 
-    return 'UNKNOWN';
+  const point = scanner.convertOverlayPointToFrameRatio(getOverlayPointer(event));
+  if (!point) {
+    return;
   }
 
-  _toGrayscale(imageData) {
-    const { data } = imageData;
-    const luminances = new Uint8ClampedArray(imageData.width * imageData.height);
+  const { mode, start, origin } = scanWindowDrag;
+  scanWindow = applyScanWindowDrag(origin, mode, point.x - start.x, point.y - start.y);
+  scanner.setScanRegion(scanWindow);
+}
 
-    for (let i = 0, j = 0; j < luminances.length; j++, i += 4) {
-      // Rec. 709 luma coefficients
-      luminances[j] = Math.round(data[i] * 0.2126 + data[i + 1] * 0.7152 + data[i + 2] * 0.0722);
-    }
+function handleOverlayPointerUp(event) {
+  if (!scanWindowDrag) {
+    return;
+  }
 
-    return luminances;
+  scanWindowDrag = null;
+  overlayEl.releasePointerCapture?.(event.pointerId);
+  rescanStillImage();
+}
+
+function handleScanWindowToggle() {
+  scanWindowEnabled = Boolean(scanWindowToggleEl?.checked);
+  overlayEl.classList.toggle('interactive', scanWindowEnabled);
+  if (!scanWindowEnabled) {
+    scanWindowDrag = null;
+    overlayEl.style.cursor = '';
   }
+  scanner.setScanRegion(scanWindowEnabled ? scanWindow : null);
+  rescanStillImage();
 }
 
-async function createDetectorByType(type) {
-  if (type === 'native') {
-    if (!('BarcodeDetector' in window)) {
-      throw new Error('BarcodeDetector API は利用できません');
-    }
+function loadConfirmationOptions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIRMATION_STORAGE_KEY) ?? 'null');
+    return { ...CONFIRMATION_OPTIONS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch {
+    return { ...CONFIRMATION_OPTIONS };
+  }
+}
 
-    let supportedFormats = [];
-    try {
-      supportedFormats = await (window.BarcodeDetector.getSupportedFormats?.() ?? []);
-    } catch (error) {
-      console.warn('BarcodeDetector の対応フォーマット取得に失敗しました', error);
-    }
+function renderConfirmationOptions() {
+  const { requiredReads, windowFrames, acceptValidChecksum } = scanner.confirmation ?? CONFIRMATION_OPTIONS;
+  confirmReadsEl.value = String(requiredReads);
+  confirmFramesEl.value = String(windowFrames);
+  confirmChecksumEl.checked = acceptValidChecksum;
+}
 
-    try {
-      return new NativeBarcodeDetector(supportedFormats);
-    } catch (error) {
-      throw new Error(`BarcodeDetector の初期化に失敗しました: ${error?.message || error}`);
+function handleConfirmationChange() {
+  const requiredReads = clamp(Math.round(Number(confirmReadsEl.value)) || 1, 1, 10);
+  // 直近の検出回数は必要な回数より少なくできない
+  const windowFrames = clamp(Math.round(Number(confirmFramesEl.value)) || requiredReads, requiredReads, 30);
+  scanner.setConfirmation({ requiredReads, windowFrames, acceptValidChecksum: confirmChecksumEl.checked });
+  localStorage.setItem(CONFIRMATION_STORAGE_KEY, JSON.stringify(scanner.confirmation));
+  renderConfirmationOptions();
+  statusEl.value = `直近 ${windowFrames} 回の検出で ${requiredReads} 回読めたら確定します`;
+}
+
+function bindConfirmationControls() {
+  if (!confirmReadsEl) {
+    return;
+  }
+
+  renderConfirmationOptions();
+  for (const inputEl of [confirmReadsEl, confirmFramesEl, confirmChecksumEl]) {
+    inputEl.addEventListener('change', handleConfirmationChange);
+  }
+}
+
+// 前処理は ZXing で読めなかったフレームにだけかかる。CPU 負荷が上がるため既定では無効
+function handlePreprocessToggle() {
+  scanner.setPreprocessing(preprocessToggleEl.checked);
+  localStorage.setItem(PREPROCESS_STORAGE_KEY, String(scanner.preprocess));
+  rescanStillImage();
+}
+
+function getTilingOptions() {
+  const tiling = { ...scanner.tiling };
+  const tileSize = Number(tileSizeEl?.value);
+  const overlap = Number(tileOverlapEl?.value);
+  if (Number.isFinite(tileSize) && tileSize > 0) tiling.tileSize = tileSize;
+  if (Number.isFinite(overlap) && overlap >= 0) tiling.overlap = overlap;
+  return tiling;
+}
+
+// 解像度が変わるとカメラを開き直すため、トラックに依存する UI も作り直す
+async function handleHighResolutionChange() {
+  const enabled = Boolean(highResolutionToggleEl?.checked);
+  const wasEnabled = scanner.highResolution;
+
+  try {
+    await scanner.setHighResolution(enabled, getTilingOptions());
+    if (enabled !== wasEnabled && scanner.isRunning) {
+      await handleStreamReady();
+    }
+    if (enabled !== wasEnabled) {
+      statusEl.value = enabled ? '高解像度モードに切り替えました' : '通常の解像度に戻しました';
     }
+  } catch (error) {
+    console.error(error);
+    statusEl.value = error.message || '高解像度モードの切り替えに失敗しました';
+  }
+
+  highResolutionToggleEl.checked = scanner.highResolution;
+  tilingOptionsEl.hidden = !scanner.highResolution;
+  tileSizeEl.value = String(scanner.tiling.tileSize);
+  tileOverlapEl.value = String(scanner.tiling.overlap);
+  rescanStillImage();
+}
+
+function getCameraLabel() {
+  if (stillImage) {
+    return '静止画';
   }
+  return scanner.getVideoTrack()?.label || cameraSelectEl.selectedOptions?.[0]?.textContent || '';
+}
 
-  if (type === 'zxing') {
-    const zxing = await import('https://cdn.jsdelivr.net/npm/@zxing/library@0.20.0/+esm');
-    return new ZXingBarcodeDetector(zxing);
+function recordHistory(detection, timestamp) {
+  if (!historyAvailable) {
+    return;
   }
 
-  throw new Error(`未知の検出アルゴリズムです: ${type}`);
+  historyStore
+    .recordScan({
+      value: detection.rawValue,
+      format: detection.format,
+      algorithm: getAlgorithmLabel(detection.algorithm ?? scanner.algorithm),
+      cameraLabel: getCameraLabel(),
+      timestamp,
+      sessionId: activeSessionId,
+    })
+    .then(scheduleHistoryRefresh)
+    .catch((error) => {
+      console.warn('履歴の保存に失敗しました', error);
+    });
+}
+
+// 連続して記録されたときに一覧の再読み込みをまとめる
+function scheduleHistoryRefresh() {
+  if (historyRefreshTimer) {
+    return;
+  }
+  historyRefreshTimer = window.setTimeout(() => {
+    historyRefreshTimer = null;
+    refreshHistory();
+  }, 300);
 }
 
-async function ensureDetector(type) {
-  if (!type) {
+function parseDateInput(value, endOfDay) {
+  if (!value) {
     return null;
   }
+  const time = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime();
+  return Number.isFinite(time) ? time : null;
+}
 
-  if (detectorCache.has(type)) {
-    return detectorCache.get(type);
+function getHistoryFilter() {
+  const sessionValue = historySessionFilterEl?.value ?? '';
+  return {
+    query: historySearchEl?.value ?? '',
+    from: parseDateInput(historyFromEl?.value, false),
+    to: parseDateInput(historyToEl?.value, true),
+    sessionId: sessionValue === '' ? null : Number(sessionValue),
+  };
+}
+
+function getSessionName(sessionId) {
+  if (sessionId === NO_SESSION_ID) {
+    return 'セッションなし';
+  }
+  return historySessions.find((session) => session.id === sessionId)?.name ?? '削除済みセッション';
+}
+
+async function refreshHistory() {
+  if (!historyListEl || !historyAvailable) {
+    return;
   }
 
-  const detector = await createDetectorByType(type);
-  detectorCache.set(type, detector);
-  return detector;
+  try {
+    // 読み取りごとの記録を値ごとにまとめてから件数を絞る
+    const entries = groupScans(await historyStore.listScans(getHistoryFilter()));
+    renderHistory(entries.slice(0, HISTORY_DISPLAY_LIMIT), entries.length);
+  } catch (error) {
+    console.warn('履歴の読み込みに失敗しました', error);
+    historyStatusEl.textContent = '履歴を読み込めませんでした';
+  }
 }
 
-function getAlgorithmLabel(type) {
-  const entry = DETECTOR_DEFINITIONS.find((definition) => definition.id === type);
-  return entry?.label ?? type;
+function renderHistory(entries, total = entries.length) {
+  historyListEl.innerHTML = '';
+
+  entries.forEach((entry) => {
+    const listItem = document.createElement('li');
+
+    const valueSpan = document.createElement('span');
+    valueSpan.className = 'result-value';
+    valueSpan.textContent = formatRawValue(entry.value);
+
+    const metaSpan = document.createElement('span');
+    metaSpan.className = 'result-meta';
+    const details = [entry.format, entry.algorithm, entry.cameraLabel, `${entry.count} 回`].filter(Boolean);
+    metaSpan.textContent = details.join(' / ');
+
+    const timeEl = document.createElement('time');
+    timeEl.className = 'result-meta';
+    timeEl.dateTime = new Date(entry.timestamp).toISOString();
+    const period =
+      entry.count > 1
+        ? `${new Date(entry.firstSeen).toLocaleString()} 〜 ${new Date(entry.timestamp).toLocaleString()}`
+        : new Date(entry.timestamp).toLocaleString();
+    timeEl.textContent = `${period} (${getSessionName(entry.sessionId)})`;
+
+    const deleteButton = createActionButton('削除', () => handleDeleteHistoryEntry(entry.ids));
+    const actionsEl = document.createElement('div');
+    actionsEl.className = 'result-actions';
+    actionsEl.append(deleteButton);
+
+    listItem.append(valueSpan, metaSpan, timeEl, actionsEl);
+    historyListEl.append(listItem);
+  });
+
+  historyStatusEl.textContent = entries.length
+    ? `${entries.length} 件${total > entries.length ? ' (最新のみ表示)' : ''}`
+    : '履歴はありません';
 }
 
-function updateAlgorithmSelectOptions() {
-  if (!algorithmSelectEl) {
+async function handleDeleteHistoryEntry(ids) {
+  try {
+    await historyStore.deleteScans(ids);
+    await refreshHistory();
+  } catch (error) {
+    console.warn('履歴の削除に失敗しました', error);
+    historyStatusEl.textContent = '履歴を削除できませんでした';
+  }
+}
+
+function renderSessionOptions() {
+  const fillOptions = (selectEl, leadingOptions, value) => {
+    if (!selectEl) return;
+    selectEl.innerHTML = '';
+    [...leadingOptions, ...historySessions.map((session) => [String(session.id), session.name])].forEach(
+      ([optionValue, label]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        selectEl.append(option);
+      },
+    );
+    selectEl.value = selectEl.querySelector(`option[value="${value}"]`) ? value : selectEl.options[0]?.value ?? '';
+  };
+
+  fillOptions(sessionSelectEl, [[String(NO_SESSION_ID), 'セッションなし']], String(activeSessionId));
+  fillOptions(
+    historySessionFilterEl,
+    [
+      ['', 'すべてのセッション'],
+      [String(NO_SESSION_ID), 'セッションなし'],
+    ],
+    historySessionFilterEl?.value ?? '',
+  );
+
+  if (deleteSessionButtonEl) {
+    deleteSessionButtonEl.disabled = activeSessionId === NO_SESSION_ID;
+  }
+}
+
+function setActiveSession(sessionId) {
+  activeSessionId = sessionId;
+  localStorage.setItem(ACTIVE_SESSION_STORAGE_KEY, String(sessionId));
+  renderSessionOptions();
+}
+
+async function refreshSessions() {
+  historySessions = await historyStore.listSessions();
+  if (!historySessions.some((session) => session.id === activeSessionId)) {
+    activeSessionId = NO_SESSION_ID;
+  }
+  renderSessionOptions();
+}
+
+async function handleNewSession() {
+  const name = window.prompt('セッション名を入力してください', new Date().toLocaleString())?.trim();
+  if (!name) {
     return;
   }
 
-  const currentValue = algorithmSelectEl.value;
-  algorithmSelectEl.innerHTML = '';
-  let availableCount = 0;
+  try {
+    const session = await historyStore.createSession(name);
+    await refreshSessions();
+    setActiveSession(session.id);
+    statusEl.value = `セッション「${name}」に記録します`;
+  } catch (error) {
+    console.warn('セッションの作成に失敗しました', error);
+    statusEl.value = 'セッションを作成できませんでした';
+  }
+}
 
-  DETECTOR_DEFINITIONS.forEach(({ id, label }) => {
-    const option = document.createElement('option');
-    option.value = id;
-    const available = detectorAvailability.get(id);
-    option.textContent = available ? label : `${label} (未対応)`;
-    option.disabled = !available;
-    if (available) {
-      availableCount += 1;
+async function handleDeleteSession() {
+  if (activeSessionId === NO_SESSION_ID) {
+    return;
+  }
+
+  const name = getSessionName(activeSessionId);
+  if (!window.confirm(`セッション「${name}」を削除しますか？\n記録された履歴は「セッションなし」に移動します。`)) {
+    return;
+  }
+
+  try {
+    await historyStore.deleteSession(activeSessionId);
+    setActiveSession(NO_SESSION_ID);
+    await refreshSessions();
+    await refreshHistory();
+  } catch (error) {
+    console.warn('セッションの削除に失敗しました', error);
+    statusEl.value = 'セッションを削除できませんでした';
+  }
+}
+
+function handleSessionSelectChange() {
+  setActiveSession(Number(sessionSelectEl.value) || NO_SESSION_ID);
+}
+
+async function initHistory() {
+  if (!historyListEl) {
+    return;
+  }
+
+  try {
+    await refreshSessions();
+    await refreshHistory();
+  } catch (error) {
+    console.warn('履歴機能を利用できません', error);
+    historyAvailable = false;
+    historyStatusEl.textContent = `履歴を利用できません: ${error.message}`;
+    return;
+  }
+
+  sessionSelectEl?.addEventListener('change', handleSessionSelectChange);
+  newSessionButtonEl?.addEventListener('click', handleNewSession);
+  deleteSessionButtonEl?.addEventListener('click', handleDeleteSession);
+  historySearchEl?.addEventListener('input', scheduleHistoryRefresh);
+  for (const filterEl of [historyFromEl, historyToEl, historySessionFilterEl]) {
+    filterEl?.addEventListener('change', refreshHistory);
+  }
+}
+
+async function buildExportFile() {
+  const format = exportFormatEl?.value in EXPORT_FORMATS ? exportFormatEl.value : 'csv';
+  const options = { bom: Boolean(exportBomEl?.checked) };
+  const { mimeType } = EXPORT_FORMATS[format];
+
+  if (exportSourceEl?.value === 'inventory') {
+    const items = inventory.getItems();
+    return {
+      count: items.length,
+      file: new File([exportInventory(items, format, options)], createExportFileName('inventory', format), {
+        type: mimeType,
+      }),
+    };
+  }
+
+  if (exportSourceEl?.value === 'history') {
+    const entries = await historyStore.listScans(getHistoryFilter());
+    // 履歴は 1 回の読み取りごとに 1 件のため、件数は 1、最初と最後の時刻は同じになる
+    const records = entries.map((entry) => ({
+      ...entry,
+      count: 1,
+      firstSeen: entry.timestamp,
+      sessionName: getSessionName(entry.sessionId),
+    }));
+    return {
+      count: records.length,
+      file: new File([exportHistory(records, format, options)], createExportFileName('barcode-history', format), {
+        type: mimeType,
+      }),
+    };
+  }
+
+  const results = scanner.getResults();
+  return {
+    count: results.length,
+    file: new File([exportResults(results, format, options)], createExportFileName('barcode-results', format), {
+      type: mimeType,
+    }),
+  };
+}
+
+async function handleExport(share) {
+  try {
+    const { count, file } = await buildExportFile();
+    if (count === 0) {
+      statusEl.value = 'エクスポートする結果がありません';
+      return;
     }
-    algorithmSelectEl.append(option);
-  });
 
-  if (selectedAlgorithm && detectorAvailability.get(selectedAlgorithm)) {
-    algorithmSelectEl.value = selectedAlgorithm;
-  } else if (detectorAvailability.get(currentValue)) {
-    selectedAlgorithm = currentValue;
-    algorithmSelectEl.value = currentValue;
-  } else {
-    const fallback = DETECTOR_DEFINITIONS.find(({ id }) => detectorAvailability.get(id));
-    selectedAlgorithm = fallback?.id ?? null;
-    algorithmSelectEl.value = selectedAlgorithm ?? '';
+    if (share && navigator.canShare?.({ files: [file] })) {
+      await navigator.share({ files: [file], title: file.name });
+      statusEl.value = `${count} 件を共有しました`;
+      return;
+    }
+
+    downloadFile(file.name, file, file.type);
+    statusEl.value = `${count} 件をエクスポートしました`;
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      return;
+    }
+    console.warn('エクスポートに失敗しました', error);
+    statusEl.value = 'エクスポートに失敗しました';
   }
+}
 
-  if (!selectedAlgorithm) {
-    algorithmSelectEl.value = '';
+function bindExportControls() {
+  exportDownloadButtonEl?.addEventListener('click', () => handleExport(false));
+  if (exportShareButtonEl && typeof navigator.share === 'function') {
+    exportShareButtonEl.hidden = false;
+    exportShareButtonEl.addEventListener('click', () => handleExport(true));
   }
+}
 
-  algorithmSelectEl.disabled = availableCount === 0;
+function getInventoryCooldownMs() {
+  const seconds = Number(inventoryCooldownEl?.value);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : inventory.cooldownMs;
 }
 
-async function prepareDetectorOptions() {
-  for (const { id } of DETECTOR_DEFINITIONS) {
-    let available = false;
-    try {
-      const detector = await ensureDetector(id);
-      if (detector) {
-        available = true;
+function renderInventory() {
+  if (!inventoryListEl) {
+    return;
+  }
+
+  const items = inventory.getItems();
+  inventoryListEl.replaceChildren(
+    ...items.map((item) => {
+      const listItem = document.createElement('li');
+      if (item.status) {
+        listItem.classList.add(`status-${item.status}`);
       }
-    } catch (error) {
-      detectorCache.delete(id);
-      console.warn(`${getAlgorithmLabel(id)} は利用できません`, error);
-    }
-    detectorAvailability.set(id, available);
+
+      const valueSpan = document.createElement('span');
+      valueSpan.className = 'result-value';
+      valueSpan.textContent = item.name || formatRawValue(item.code);
+
+      const countSpan = document.createElement('span');
+      countSpan.className = 'inventory-count';
+      countSpan.textContent = item.expected === null ? `${item.count}` : `${item.count} / ${item.expected}`;
+
+      const metaSpan = document.createElement('span');
+      metaSpan.className = 'result-meta';
+      const details = [item.name ? item.code : '', INVENTORY_STATUS_LABELS[item.status]].filter(Boolean);
+      metaSpan.textContent = details.join(' / ');
+
+      const actionsEl = document.createElement('div');
+      actionsEl.className = 'result-actions';
+      actionsEl.append(
+        createActionButton('+1', () => handleInventoryAdjust(item.key, 1)),
+        createActionButton('-1', () => handleInventoryAdjust(item.key, -1)),
+      );
+
+      listItem.append(valueSpan, countSpan, metaSpan, actionsEl);
+      return listItem;
+    }),
+  );
+
+  const summary = inventory.getSummary();
+  if (inventory.hasManifest) {
+    inventorySummaryEl.textContent =
+      `一致 ${summary.matched} / 不足 ${summary.missing} / 超過 ${summary.over} / 予定外 ${summary.unexpected}` +
+      ` (数量 ${summary.countedTotal} / ${summary.expectedTotal})`;
+  } else {
+    inventorySummaryEl.textContent = items.length ? `${items.length} 品目 / 数量 ${summary.countedTotal}` : '';
+  }
+  inventoryUndoButtonEl.disabled = !inventory.canUndo();
+}
+
+function recordInventory(detections) {
+  if (!inventoryEnabled) {
+    return;
   }
 
-  if (!selectedAlgorithm || !detectorAvailability.get(selectedAlgorithm)) {
-    const fallback = DETECTOR_DEFINITIONS.find(({ id }) => detectorAvailability.get(id));
-    selectedAlgorithm = fallback?.id ?? null;
+  const counted = inventory.recordDetections(detections);
+  if (counted.length) {
+    renderInventory();
   }
+}
 
-  updateAlgorithmSelectOptions();
+function handleInventoryAdjust(key, delta) {
+  inventory.adjust(key, delta);
+  renderInventory();
 }
 
-async function ensureActiveDetector() {
-  if (!selectedAlgorithm) {
-    return null;
+function handleInventoryUndo() {
+  const item = inventory.undo();
+  renderInventory();
+  if (item) {
+    statusEl.value = `${item.name || item.code} のスキャンを取り消しました`;
   }
+}
 
-  if (!detectorAvailability.get(selectedAlgorithm)) {
-    return null;
+function handleInventoryReset() {
+  if (!window.confirm('数量をすべて 0 に戻しますか？\n読み込んだ予定表は残ります。')) {
+    return;
   }
+  inventory.reset();
+  renderInventory();
+}
 
+async function handleManifestFile(file) {
   try {
-    return await ensureDetector(selectedAlgorithm);
+    const entries = parseManifestCsv(await file.text());
+    inventory.loadManifest(entries);
+    renderInventory();
+    statusEl.value = `予定表を読み込みました (${entries.length} 品目)`;
   } catch (error) {
-    console.error(`${getAlgorithmLabel(selectedAlgorithm)} の初期化に失敗しました`, error);
-    detectorCache.delete(selectedAlgorithm);
-    detectorAvailability.set(selectedAlgorithm, false);
-    updateAlgorithmSelectOptions();
-    return null;
+    console.error(error);
+    statusEl.value = error.message || '予定表を読み込めませんでした';
   }
 }
 
-async function initCamera(deviceId) {
-  if (!navigator.mediaDevices?.getUserMedia) {
-    throw new Error('このブラウザは getUserMedia に対応していません');
+function bindInventoryControls() {
+  if (!inventoryListEl) {
+    return;
   }
 
-  const constraints = {
-    audio: false,
-    video: {
-      deviceId: deviceId ? { exact: deviceId } : undefined,
-      facingMode: deviceId ? undefined : { ideal: 'environment' },
-      width: { ideal: 1280 },
-      height: { ideal: 720 },
-    },
-  };
-
-  const stream = await navigator.mediaDevices.getUserMedia(constraints);
-  assignStream(stream);
-
-  const [videoTrack] = stream.getVideoTracks();
-  const trackSettings = videoTrack?.getSettings?.() ?? {};
-  activeCameraDeviceId =
-    (typeof deviceId === 'string' && deviceId) || trackSettings.deviceId || activeCameraDeviceId;
+  inventory.cooldownMs = getInventoryCooldownMs();
+  inventoryToggleEl?.addEventListener('change', () => {
+    inventoryEnabled = inventoryToggleEl.checked;
+    statusEl.value = inventoryEnabled ? '棚卸しモードを開始しました' : '棚卸しモードを終了しました';
+  });
+  inventoryCooldownEl?.addEventListener('change', () => {
+    inventory.cooldownMs = getInventoryCooldownMs();
+  });
+  inventoryManifestButtonEl?.addEventListener('click', () => inventoryManifestInputEl.click());
+  inventoryManifestInputEl?.addEventListener('change', () => {
+    const [file] = inventoryManifestInputEl.files ?? [];
+    inventoryManifestInputEl.value = '';
+    if (file) {
+      handleManifestFile(file);
+    }
+  });
+  inventoryUndoButtonEl?.addEventListener('click', handleInventoryUndo);
+  inventoryResetButtonEl?.addEventListener('click', handleInventoryReset);
+  renderInventory();
+}
 
-  await ensureVideoCanPlay();
-  await ensureVideoIsPlaying();
-  resizeOverlay();
-  await populateCameraOptions();
-  hidePermissionHint();
+function formatLatency(value) {
+  return value === null ? '-' : `${value.toFixed(1)} ms`;
+}
 
-  return stream;
+function getDiagnosticsEntries() {
+  const diagnostics = scanner.getDiagnostics();
+  const { schedule, trackSettings, zxingErrors } = diagnostics;
+
+  return [
+    ['アルゴリズム', diagnostics.algorithmLabel ?? '-'],
+    ['処理時間 p50 / p95', `${formatLatency(diagnostics.latencyP50)} / ${formatLatency(diagnostics.latencyP95)}`],
+    ['検出頻度', `${diagnostics.scanRate.toFixed(1)} 回/秒`],
+    [
+      '検出間隔',
+      schedule
+        ? `${Math.round(schedule.interval)} ms${schedule.idle ? ' (待機中)' : ''}${
+            schedule.videoFrameCallback ? '' : ' (requestVideoFrameCallback 非対応)'
+          }`
+        : '-',
+    ],
+    ['結果あり / なし', `${diagnostics.hits} / ${diagnostics.misses}`],
+    ['映像の解像度', diagnostics.videoWidth ? `${diagnostics.videoWidth}×${diagnostics.videoHeight}` : '-'],
+    [
+      'トラック設定',
+      trackSettings
+        ? Object.entries(trackSettings)
+            .filter(([key]) => !HIDDEN_TRACK_SETTINGS.has(key))
+            .map(([key, value]) => `${key}: ${typeof value === 'number' ? Math.round(value * 100) / 100 : value}`)
+            .join(', ')
+        : '-',
+    ],
+    [
+      'ZXing の例外',
+      zxingErrors
+        ? Object.entries(ZXING_ERROR_LABELS)
+            .map(([key, label]) => `${label} ${zxingErrors[key]}`)
+            .join(' / ')
+        : '-',
+    ],
+  ];
 }
 
-function assignStream(stream) {
-  if (mediaStream === stream) {
+function renderDiagnostics() {
+  if (!diagnosticsListEl || diagnosticsBodyEl.hidden) {
     return;
   }
 
-  stopMediaStream();
-  mediaStream = stream;
-  videoEl.srcObject = stream;
-  return stream;
+  diagnosticsListEl.replaceChildren(
+    ...getDiagnosticsEntries().flatMap(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      return [term, description];
+    }),
+  );
 }
 
-function stopMediaStream() {
-  if (!mediaStream) return;
-  for (const track of mediaStream.getTracks()) {
-    track.stop();
-  }
-  mediaStream = null;
-  videoEl.srcObject = null;
+function handleDebugViewChange() {
+  scanner.setDebugView(diagnosticsToggleEl.checked ? debugViewSelectEl.value || null : null);
 }
 
-function ensureVideoCanPlay() {
-  return new Promise((resolve) => {
-    if (videoEl.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
-      resolve();
-      return;
-    }
+function loadFeedbackSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FEEDBACK_STORAGE_KEY) ?? 'null');
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
+  }
+}
 
-    const onLoaded = () => {
-      videoEl.removeEventListener('loadeddata', onLoaded);
-      resolve();
-    };
+function getResultKey(result) {
+  return `${result.format}\u0000${result.rawValue}`;
+}
 
-    videoEl.addEventListener('loadeddata', onLoaded, { once: true });
+function notifyScanFeedback(scans) {
+  scans.forEach((result) => {
+    const key = getResultKey(result);
+    let kind = 'success';
+    if (result.valid === false) {
+      kind = 'invalid';
+    } else if (notifiedKeys.has(key)) {
+      kind = 'duplicate';
+    }
+    notifiedKeys.add(key);
+    feedback.notify(kind, { scanner, result });
   });
 }
 
-async function ensureVideoIsPlaying() {
-  try {
-    await videoEl.play();
-  } catch (error) {
-    console.warn('自動再生に失敗しました。ユーザー操作が必要な場合があります。', error);
-  }
+function handleFeedbackToggle() {
+  feedback.configure({
+    sound: feedbackSoundToggleEl.checked,
+    vibration: feedbackVibrationToggleEl.checked,
+    flash: feedbackFlashToggleEl.checked,
+  });
+  localStorage.setItem(FEEDBACK_STORAGE_KEY, JSON.stringify(feedback.settings));
+  feedback.unlock();
 }
 
-function resizeOverlay() {
-  if (videoWrapperEl) {
-    const intrinsicWidth = videoEl.videoWidth;
-    const intrinsicHeight = videoEl.videoHeight;
-    if (intrinsicWidth && intrinsicHeight) {
-      const aspect = `${intrinsicWidth} / ${intrinsicHeight}`;
-      if (videoWrapperEl.style.aspectRatio !== aspect) {
-        videoWrapperEl.style.aspectRatio = aspect;
-      }
-    } else if (videoWrapperEl.style.aspectRatio) {
-      videoWrapperEl.style.aspectRatio = '';
-    }
+function bindFeedbackControls() {
+  if (!feedbackSoundToggleEl) {
+    return;
   }
 
-  const rect = videoEl.getBoundingClientRect();
-  const dpr = window.devicePixelRatio || 1;
-  const width = Math.round(rect.width * dpr);
-  const height = Math.round(rect.height * dpr);
+  const supports = ScanFeedback.supports;
+  const toggles = [
+    [feedbackSoundToggleEl, 'sound'],
+    [feedbackVibrationToggleEl, 'vibration'],
+    [feedbackFlashToggleEl, 'flash'],
+  ];
+  toggles.forEach(([toggleEl, key]) => {
+    toggleEl.checked = feedback.settings[key];
+    toggleEl.closest('label').hidden = !supports[key];
+    toggleEl.addEventListener('change', handleFeedbackToggle);
+  });
+
+  feedbackNoteEl.hidden = !feedback.reducedMotion;
+  feedbackNoteEl.textContent = '端末で動きを減らす設定が有効なため、枠は点滅しません。';
+}
 
-  if (!width || !height) {
+function bindDiagnosticsControls() {
+  if (!diagnosticsBodyEl) {
     return;
   }
 
-  if (width === lastOverlayWidth && height === lastOverlayHeight && dpr === lastOverlayDpr) {
-    return;
+  const plainOption = document.createElement('option');
+  plainOption.value = '';
+  plainOption.textContent = 'カメラ映像';
+  debugViewSelectEl.replaceChildren(
+    plainOption,
+    ...Object.entries(DEBUG_VIEWS).map(([id, label]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      return option;
+    }),
+  );
+
+  diagnosticsToggleEl.addEventListener('change', () => {
+    diagnosticsBodyEl.hidden = !diagnosticsToggleEl.checked;
+    handleDebugViewChange();
+    renderDiagnostics();
+  });
+  debugViewSelectEl.addEventListener('change', handleDebugViewChange);
+  diagnosticsResetButtonEl?.addEventListener('click', () => {
+    scanner.resetDiagnostics();
+    renderDiagnostics();
+  });
+  window.setInterval(renderDiagnostics, DIAGNOSTICS_INTERVAL_MS);
+}
+
+function loadForwardingSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FORWARDING_STORAGE_KEY) ?? 'null');
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
   }
+}
 
-  lastOverlayWidth = width;
-  lastOverlayHeight = height;
-  lastOverlayDpr = dpr;
+function renderForwardingSettings() {
+  const { enabled, url, headers, template, batchIntervalMs, device } = forwarder.settings;
+  forwardingToggleEl.checked = enabled;
+  forwardingUrlEl.value = url;
+  forwardingHeadersEl.value = formatHeaders(headers);
+  forwardingTemplateEl.value = template;
+  forwardingDeviceEl.value = device;
+  forwardingBatchEl.value = String(batchIntervalMs / 1000);
+}
 
-  overlayEl.width = width;
-  overlayEl.height = height;
-  overlayCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
-  clearOverlay();
+function renderForwardingStatus({ pending, sending, lastError } = forwarder) {
+  const parts = [`未送信 ${pending} 件`];
+  if (sending) {
+    parts.push('送信中…');
+  }
+  if (lastError) {
+    parts.push(lastError);
+  }
+  forwardingStatusEl.textContent = parts.join(' / ');
+  forwardingRetryButtonEl.disabled = pending === 0 || sending;
+  forwardingClearButtonEl.disabled = pending === 0;
 }
 
-async function populateCameraOptions() {
-  if (!navigator.mediaDevices?.enumerateDevices) {
+function handleForwardingSave() {
+  const seconds = Number(forwardingBatchEl.value);
+  try {
+    forwarder.configure({
+      enabled: forwardingToggleEl.checked,
+      url: forwardingUrlEl.value.trim(),
+      headers: parseHeaders(forwardingHeadersEl.value),
+      template: forwardingTemplateEl.value,
+      batchIntervalMs: Number.isFinite(seconds) ? seconds * 1000 : Number.NaN,
+      device: forwardingDeviceEl.value.trim(),
+    });
+  } catch (error) {
+    forwardingStatusEl.textContent = error.message;
+    forwardingToggleEl.checked = forwarder.settings.enabled;
     return;
   }
 
-  const devices = await navigator.mediaDevices.enumerateDevices();
-  const videoDevices = devices.filter((d) => d.kind === 'videoinput');
-
-  const currentValue = cameraSelectEl.value;
-  cameraSelectEl.innerHTML = '';
+  localStorage.setItem(FORWARDING_STORAGE_KEY, JSON.stringify(forwarder.settings));
+  statusEl.value = forwarder.settings.enabled ? '送信の設定を保存しました' : '送信を停止しました';
+  renderForwardingStatus();
+}
 
-  videoDevices.forEach((device, index) => {
-    const option = document.createElement('option');
-    option.value = device.deviceId;
-    option.textContent = device.label || `カメラ ${index + 1}`;
-    cameraSelectEl.append(option);
+function forwardScan(detection, timestamp) {
+  forwarder.enqueue(detection, timestamp).catch((error) => {
+    console.warn('送信キューへの追加に失敗しました', error);
   });
+}
 
-  if (videoDevices.length === 0) {
-    const option = document.createElement('option');
-    option.value = '';
-    option.textContent = 'カメラが見つかりません';
-    cameraSelectEl.append(option);
+async function bindForwardingControls() {
+  if (!forwardingStatusEl) {
+    return;
   }
 
-  let desiredValue = activeCameraDeviceId || currentValue;
-  if (!desiredValue && videoDevices.length > 0) {
-    desiredValue = videoDevices[0].deviceId;
+  // 端末名の初期値は、この端末で一度だけ作る識別子
+  if (!forwarder.settings.device) {
+    forwarder.settings.device = `scanner-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem(FORWARDING_STORAGE_KEY, JSON.stringify(forwarder.settings));
   }
+  const placeholders = TEMPLATE_PLACEHOLDERS.map((name) => `{{${name}}}`).join(' ');
+  forwardingNoteEl.textContent = `${placeholders} が置き換わります。間隔を 0 より大きくすると、その間に確定した分を配列にして 1 回で送ります。`;
+  renderForwardingSettings();
+  renderForwardingStatus();
+
+  forwarder.addEventListener('statuschange', (event) => renderForwardingStatus(event.detail));
+  forwardingSaveButtonEl.addEventListener('click', handleForwardingSave);
+  forwardingToggleEl.addEventListener('change', handleForwardingSave);
+  forwardingRetryButtonEl.addEventListener('click', () => forwarder.retryNow());
+  forwardingClearButtonEl.addEventListener('click', async () => {
+    if (window.confirm(`未送信の ${forwarder.pending} 件を破棄しますか?`)) {
+      await forwarder.clear();
+    }
+  });
 
-  if (desiredValue && cameraSelectEl.querySelector(`option[value="${desiredValue}"]`)) {
-    cameraSelectEl.value = desiredValue;
-  } else if (videoDevices.length > 0) {
-    cameraSelectEl.value = videoDevices[0].deviceId;
-  } else {
-    cameraSelectEl.value = '';
+  try {
+    await forwarder.init();
+  } catch (error) {
+    console.warn('送信キューを読み込めませんでした', error);
+    forwardingStatusEl.textContent = '送信キューを利用できません';
   }
-
-  activeCameraDeviceId = cameraSelectEl.value || activeCameraDeviceId;
 }
 
-function startDetectionLoop() {
-  if (detectionTimer) {
-    clearTimeout(detectionTimer);
-    detectionTimer = null;
+function createBridge() {
+  const params = new URLSearchParams(window.location.search);
+  const allowedOrigins = params.get(BRIDGE_ORIGINS_PARAM) ?? '';
+  const channelName = params.get(BRIDGE_CHANNEL_PARAM);
+  if (!allowedOrigins && !channelName) {
+    return null;
   }
 
-  const tick = async () => {
-    if (!mediaStream) {
-      detectionTimer = null;
-      return;
-    }
-
-    const detector = await ensureActiveDetector();
+  try {
+    const instance = new ScanBridge({ allowedOrigins, channelName });
+    // 許可したオリジンがあっても、埋め込まれていなければ親フレームへは送らない
+    return instance.target || channelName ? instance : null;
+  } catch (error) {
+    console.warn('連携の設定が正しくありません', error);
+    statusEl.value = error.message;
+    return null;
+  }
+}
 
-    if (!detector) {
-      if (statusEl.value !== '選択したアルゴリズムが利用できません') {
-        statusEl.value = '選択したアルゴリズムが利用できません';
+// ホストからのコマンドを画面のボタン操作と同じ処理に割り当てる
+async function runBridgeCommand(command, message) {
+  switch (command) {
+    case 'start':
+      if (!startButtonEl.disabled) {
+        await handleStart();
       }
-    } else {
-      try {
-        const detections = await detector.detect(videoEl);
-        updateResults(detections);
-      } catch (error) {
-        console.error('Detection loop error', error);
-        statusEl.value = '検出エラーが発生しました';
+      if (!scanner.isRunning) {
+        throw new Error(statusEl.value || 'カメラを開始できませんでした');
+      }
+      break;
+    case 'stop':
+      if (!stopButtonEl.disabled) {
+        handleStop();
+      }
+      break;
+    case 'switch-camera': {
+      const options = Array.from(cameraSelectEl.options).map((option) => option.value);
+      if (!options.includes(message.deviceId)) {
+        throw new Error(`カメラが見つかりません: ${message.deviceId}`);
       }
+      cameraSelectEl.value = message.deviceId;
+      await handleCameraChange();
+      break;
     }
+    case 'set-formats':
+      if (message.algorithm !== undefined) {
+        if (!scanner.isAvailable(message.algorithm)) {
+          throw new Error(`${getAlgorithmLabel(message.algorithm)} は利用できません`);
+        }
+        algorithmSelectEl.value = message.algorithm;
+        handleAlgorithmChange();
+      }
+      if (message.formats !== undefined) {
+        if (message.formats !== null && !Array.isArray(message.formats)) {
+          throw new TypeError('formats には配列か null を指定してください');
+        }
+        await applyFormats(message.formats ?? []);
+      }
+      break;
+    case 'clear':
+      handleClearResults();
+      break;
+    default:
+      break;
+  }
+}
 
-    detectionTimer = window.setTimeout(tick, DETECTION_INTERVAL_MS);
-  };
-
-  tick();
+async function handleBridgeCommand(event) {
+  const { command, message, respond } = event.detail;
+  try {
+    await runBridgeCommand(command, message);
+    respond(true, { state: scanner.state, algorithm: scanner.algorithm, formats: scanner.formats });
+  } catch (error) {
+    respond(false, { error: error.message || String(error), state: scanner.state });
+  }
 }
 
-function stopDetectionLoop() {
-  if (detectionTimer) {
-    clearTimeout(detectionTimer);
-    detectionTimer = null;
+function bindBridge() {
+  bridge = createBridge();
+  if (!bridge) {
+    return;
   }
-  clearOverlay();
+
+  bridge.addEventListener('command', handleBridgeCommand);
+  scanner.addEventListener('statechange', (event) => bridge.publishState(event.detail.state));
+  bridge.connect();
 }
 
-function updateResults(detections) {
-  const now = Date.now();
-  let updated = false;
-
-  detections.forEach((detection) => {
-    const key = detection.rawValue || `${detection.box.x}-${detection.box.y}`;
-    const existing = lastResults.get(key) || {};
-    lastResults.set(key, {
-      ...existing,
-      ...detection,
-      lastSeen: now,
-    });
-    updated = true;
-  });
+function hidePermissionHint() {
+  permissionHintEl.classList.add('hidden');
+}
 
-  for (const [key, value] of Array.from(lastResults.entries())) {
-    if (now - value.lastSeen > RESULT_TTL_MS) {
-      lastResults.delete(key);
-      updated = true;
-    }
-  }
+function showPermissionHint() {
+  permissionHintEl.classList.remove('hidden');
+}
 
-  if (updated) {
-    renderResults();
+function isImageFile(file) {
+  return Boolean(file?.type?.startsWith('image/'));
+}
+
+async function loadStillImage(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    stillPreviewEl.src = url;
+    await stillPreviewEl.decode();
+    const bitmap = await createImageBitmap(stillPreviewEl);
+    return { bitmap, url, width: bitmap.width, height: bitmap.height };
+  } catch (error) {
+    stillPreviewEl.removeAttribute('src');
+    URL.revokeObjectURL(url);
+    throw error;
   }
 }
 
-function renderResults() {
-  resizeOverlay();
-  clearOverlay();
+function clearStillImage() {
+  if (!stillImage) return;
+  stillImage.bitmap.close?.();
+  URL.revokeObjectURL(stillImage.url);
+  stillImage = null;
+  scanner.clearImage();
+  stillPreviewEl.removeAttribute('src');
+  stillPreviewEl.classList.add('hidden');
+}
 
-  const ordered = Array.from(lastResults.values()).sort((a, b) => b.lastSeen - a.lastSeen);
-  const lines = [];
-  resultListEl.innerHTML = '';
+async function handleImageFile(file) {
+  if (!isImageFile(file)) {
+    statusEl.value = '画像ファイルを選択してください';
+    return;
+  }
 
-  ordered.forEach((result, index) => {
-    drawBoundingBox(result, index);
-    lines.push(`${result.rawValue} (${result.format})`);
+  if (scanner.isRunning) {
+    handleStop();
+  }
 
-    const listItem = document.createElement('li');
-    const valueSpan = document.createElement('span');
-    valueSpan.className = 'result-value';
-    valueSpan.textContent = result.rawValue || '(値なし)';
+  clearStillImage();
 
-    const metaSpan = document.createElement('span');
-    metaSpan.className = 'result-meta';
-    const elapsed = Math.max(0, Math.round((Date.now() - result.lastSeen) / 1000));
-    metaSpan.textContent = `${result.format} / ${elapsed} 秒前`;
+  if (!scanner.isAvailable(scanner.algorithm)) {
+    statusEl.value = '利用可能な検出アルゴリズムがありません';
+    return;
+  }
 
-    listItem.append(valueSpan, metaSpan);
-    resultListEl.append(listItem);
-  });
+  statusEl.value = '画像を解析中…';
 
-  textBoxEl.value = lines.join('\n');
+  try {
+    stillImage = await loadStillImage(file);
+    stillPreviewEl.classList.remove('hidden');
+    hidePermissionHint();
 
-  if (ordered.length === 0) {
-    textBoxEl.value = '';
+    await detectStillImage();
+  } catch (error) {
+    console.error(error);
+    clearStillImage();
+    statusEl.value = '画像の読み込みに失敗しました';
   }
 }
 
-function drawBoundingBox(result, index) {
-  const displayPoints = convertPointsToOverlay(result.points);
-  let displayBox = convertBoxToOverlay(result.box);
+async function detectStillImage() {
+  const detections = await scanner.scanImage(stillImage.bitmap);
+  renderResults();
 
-  if ((!displayBox || !displayBox.width || !displayBox.height) && displayPoints) {
-    displayBox = getBoundingRectFromPoints(displayPoints);
-  }
+  statusEl.value = detections.length
+    ? `画像から ${detections.length} 件検出しました`
+    : '画像からバーコードが見つかりませんでした';
+}
 
-  if (!displayBox) return;
+// イベントから待たずに呼べるよう、失敗は画面に表示して reject しない
+async function rescanStillImage() {
+  if (!stillImage) {
+    return;
+  }
 
-  const hue = (index * 57) % 360;
-  const strokeStyle = `hsl(${hue} 85% 65%)`;
-  const fillStyle = `hsla(${hue} 85% 50% / 0.15)`;
+  try {
+    await detectStillImage();
+  } catch (error) {
+    console.error(error);
+    statusEl.value = error.message || '画像の解析に失敗しました';
+  }
+}
 
-  overlayCtx.save();
-  overlayCtx.strokeStyle = strokeStyle;
-  overlayCtx.fillStyle = fillStyle;
-  overlayCtx.lineWidth = 3;
-  overlayCtx.beginPath();
+function handleImageInputChange() {
+  const [file] = imageInputEl.files ?? [];
+  imageInputEl.value = '';
+  if (file) {
+    handleImageFile(file);
+  }
+}
 
-  if (displayPoints && displayPoints.length >= 3) {
-    overlayCtx.moveTo(displayPoints[0].x, displayPoints[0].y);
-    for (let i = 1; i < displayPoints.length; i += 1) {
-      overlayCtx.lineTo(displayPoints[i].x, displayPoints[i].y);
-    }
-    overlayCtx.closePath();
-    overlayCtx.fill();
-    overlayCtx.stroke();
-  } else {
-    overlayCtx.roundRect?.(displayBox.x, displayBox.y, displayBox.width, displayBox.height, 12);
-    if (!overlayCtx.roundRect) {
-      overlayCtx.rect(displayBox.x, displayBox.y, displayBox.width, displayBox.height);
-    }
-    overlayCtx.fill();
-    overlayCtx.stroke();
+function handleDragOver(event) {
+  if (!Array.from(event.dataTransfer?.types ?? []).includes('Files')) {
+    return;
   }
+  event.preventDefault();
+  event.dataTransfer.dropEffect = 'copy';
+  videoWrapperEl.classList.add('drag-over');
+}
 
-  overlayCtx.fillStyle = strokeStyle;
-  overlayCtx.font = '16px system-ui, sans-serif';
-  overlayCtx.textBaseline = 'top';
-  const label = result.rawValue ? `${result.rawValue}` : '(値なし)';
-  const textY = displayBox.y - 22 >= 0 ? displayBox.y - 22 : displayBox.y + displayBox.height + 4;
-  overlayCtx.fillText(label, displayBox.x + 8, textY);
-  overlayCtx.restore();
+function handleDragLeave() {
+  videoWrapperEl.classList.remove('drag-over');
 }
 
-function hidePermissionHint() {
-  permissionHintEl.classList.add('hidden');
+function handleDrop(event) {
+  event.preventDefault();
+  videoWrapperEl.classList.remove('drag-over');
+  const file = Array.from(event.dataTransfer?.files ?? []).find(isImageFile);
+  handleImageFile(file);
 }
 
-function showPermissionHint() {
-  permissionHintEl.classList.remove('hidden');
+function handlePaste(event) {
+  const item = Array.from(event.clipboardData?.items ?? []).find(
+    (entry) => entry.kind === 'file' && entry.type.startsWith('image/'),
+  );
+  const file = item?.getAsFile();
+  if (!file) {
+    return;
+  }
+  event.preventDefault();
+  handleImageFile(file);
+}
+
+function bindImageInput() {
+  imageButtonEl?.addEventListener('click', () => imageInputEl.click());
+  imageInputEl?.addEventListener('change', handleImageInputChange);
+  videoWrapperEl?.addEventListener('dragover', handleDragOver);
+  videoWrapperEl?.addEventListener('dragleave', handleDragLeave);
+  videoWrapperEl?.addEventListener('drop', handleDrop);
+  document.addEventListener('paste', handlePaste);
 }
 
 async function handleStart() {
+  feedback.unlock();
+  if (stillImage) {
+    clearStillImage();
+    handleClearResults();
+  }
+
   startButtonEl.disabled = true;
   stopButtonEl.disabled = false;
   statusEl.value = 'カメラ初期化中…';
 
-  try {
-    const detector = await ensureActiveDetector();
-    if (!detector) {
-      statusEl.value = '利用可能な検出アルゴリズムがありません';
-      startButtonEl.disabled = false;
-      stopButtonEl.disabled = true;
-      return;
-    }
+  if (!scanner.isAvailable(scanner.algorithm)) {
+    statusEl.value = '利用可能な検出アルゴリズムがありません';
+    startButtonEl.disabled = false;
+    stopButtonEl.disabled = true;
+    return;
+  }
 
-    const stream = await initCamera(cameraSelectEl.value || undefined);
+  try {
+    const stream = await scanner.start({ deviceId: cameraSelectEl.value || undefined });
     if (stream) {
-      statusEl.value = `${getAlgorithmLabel(selectedAlgorithm)} で検出を開始しました`;
-      startDetectionLoop();
+      await handleStreamReady();
+      statusEl.value = `${getAlgorithmLabel(scanner.algorithm)} で検出を開始しました`;
     }
   } catch (error) {
     console.error(error);
@@ -844,9 +1911,50 @@ async function handleStart() {
   }
 }
 
+// 連続スキャンとカメラを取り合わないよう、先に停止してからモーダルで 1 つだけ読み取る
+async function handleScanOnce() {
+  if (scanner.isRunning) {
+    handleStop();
+  }
+
+  scanOnceButtonEl.disabled = true;
+  feedback.unlock();
+  try {
+    const detection = await scanOnceInModal({
+      feedback,
+      algorithm: scanner.algorithm,
+      formats: scanner.formats,
+      deviceId: cameraSelectEl.value || undefined,
+      timeout: SCAN_ONCE_TIMEOUT_MS,
+    });
+    scanOnceValueEl.value = detection.rawValue;
+    scanOnceValueEl.focus();
+    statusEl.value = `${getFormatLabel(detection.format)} を読み取りました`;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      statusEl.value = '読み取りをキャンセルしました';
+    } else if (error.name === 'NotAllowedError' || error.name === 'SecurityError') {
+      statusEl.value = 'カメラの利用が許可されていません';
+      showPermissionHint();
+    } else {
+      console.error(error);
+      statusEl.value = error.message || '読み取りに失敗しました';
+    }
+  } finally {
+    scanOnceButtonEl.disabled = false;
+  }
+}
+
+// カメラを開始・切り替えたあとに、トラックに依存する UI を作り直す
+async function handleStreamReady() {
+  await setupCameraControls(scanner.getVideoTrack());
+  await populateCameraOptions();
+  hidePermissionHint();
+}
+
 function handleStop() {
-  stopDetectionLoop();
-  stopMediaStream();
+  scanner.stop();
+  hideCameraControls();
   statusEl.value = '停止しました';
   startButtonEl.disabled = false;
   stopButtonEl.disabled = true;
@@ -855,7 +1963,8 @@ function handleStop() {
 async function handleCameraChange() {
   if (startButtonEl.disabled) {
     try {
-      await initCamera(cameraSelectEl.value || undefined);
+      await scanner.switchCamera(cameraSelectEl.value || undefined);
+      await handleStreamReady();
       statusEl.value = 'カメラを切り替えました';
     } catch (error) {
       console.error(error);
@@ -874,34 +1983,89 @@ function handleAlgorithmChange() {
     return;
   }
 
-  if (!detectorAvailability.get(next)) {
+  if (!scanner.isAvailable(next)) {
     statusEl.value = `${getAlgorithmLabel(next)} は利用できません`;
     updateAlgorithmSelectOptions();
     return;
   }
 
-  selectedAlgorithm = next;
+  scanner.setAlgorithm(next);
   const label = getAlgorithmLabel(next);
   statusEl.value = startButtonEl.disabled ? `${label} に切り替えました` : `${label} を選択しました`;
+  renderFormatOptions();
+  syncEngineStatsTimer();
 }
 
 function handleClearResults() {
-  lastResults = new Map();
+  scanner.clearResults();
+  notifiedKeys.clear();
+  renderResults();
+}
+
+// 新しく現れた結果のうち、同じ値の結果がまだ残っていないものだけを 1 回の読み取りとして扱う。
+// 履歴・送信・連携・通知で同じ読み取りを重複して扱わないようにする
+function getNewScans(added) {
+  return added.filter((result) => {
+    if (!result.rawValue) {
+      return false;
+    }
+    const key = getResultKey(result);
+    return !scanner.getResults().some((other) => other.id !== result.id && getResultKey(other) === key);
+  });
+}
+
+function handleScannerDetected(event) {
+  const { added, detections } = event.detail;
+  recordInventory(detections);
+  const now = Date.now();
+  const scans = getNewScans(added);
+  scans.forEach((result) => {
+    recordHistory(result, now);
+    forwardScan(result, now);
+  });
+  notifyScanFeedback(scans);
+  bridge?.publishDetections(scans, now);
+  renderResults();
+}
+
+function handleScannerError(event) {
+  const { error, context } = event.detail;
+  if (context === 'detector') {
+    statusEl.value = '選択したアルゴリズムが利用できません';
+    updateAlgorithmSelectOptions();
+  } else {
+    console.error(error);
+    statusEl.value = '検出エラーが発生しました';
+  }
+}
+
+function handleResize() {
+  scanner.render();
   renderResults();
 }
 
+function bindScannerEvents() {
+  scanner.addEventListener('detected', handleScannerDetected);
+  scanner.addEventListener('lost', renderResults);
+  scanner.addEventListener('error', handleScannerError);
+}
+
 async function bootstrap() {
-  if (!navigator.mediaDevices?.getUserMedia) {
+  const cameraSupported = Boolean(navigator.mediaDevices?.getUserMedia);
+
+  if (!cameraSupported) {
     statusEl.value = 'このブラウザではカメラが利用できません';
     startButtonEl.disabled = true;
+    if (scanOnceButtonEl) {
+      scanOnceButtonEl.disabled = true;
+    }
     showPermissionHint();
-    return;
-  }
-
-  try {
-    await populateCameraOptions();
-  } catch (error) {
-    console.warn('カメラリスト取得に失敗', error);
+  } else {
+    try {
+      await populateCameraOptions();
+    } catch (error) {
+      console.warn('カメラリスト取得に失敗', error);
+    }
   }
 
   try {
@@ -910,21 +2074,60 @@ async function bootstrap() {
     console.warn('検出アルゴリズムの初期化に失敗', error);
     updateAlgorithmSelectOptions();
   }
+  await renderFormatOptions();
+
+  bindScannerEvents();
+  // DB の更新が他のタブに妨げられても、カメラの操作は使えるように待たずに進める
+  initHistory();
+  bindExportControls();
+  bindInventoryControls();
+  bindForwardingControls();
+  bindConfirmationControls();
+  bindFeedbackControls();
+  bindDiagnosticsControls();
+  bindServiceWorker();
+  bindBridge();
+  window.addEventListener('online', handleOnline);
+
+  // 静止画の解析はカメラ非対応の環境でも利用できる
+  bindImageInput();
+  scanWindowToggleEl?.addEventListener('change', handleScanWindowToggle);
+  if (preprocessToggleEl) {
+    preprocessToggleEl.checked = scanner.preprocess;
+    preprocessToggleEl.addEventListener('change', handlePreprocessToggle);
+  }
+  highResolutionToggleEl?.addEventListener('change', handleHighResolutionChange);
+  tileSizeEl?.addEventListener('change', handleHighResolutionChange);
+  tileOverlapEl?.addEventListener('change', handleHighResolutionChange);
+  overlayEl.addEventListener('pointerdown', handleOverlayPointerDown);
+  overlayEl.addEventListener('pointermove', handleOverlayPointerMove);
+  overlayEl.addEventListener('pointerup', handleOverlayPointerUp);
+  overlayEl.addEventListener('pointercancel', handleOverlayPointerUp);
+  algorithmSelectEl?.addEventListener('change', handleAlgorithmChange);
+  renderScheduleOptions();
+  scheduleSelectEl?.addEventListener('change', handleScheduleChange);
+  formatListEl?.addEventListener('change', handleFormatChange);
+  clearButtonEl.addEventListener('click', handleClearResults);
+  window.addEventListener('resize', handleResize);
+  scanner.addEventListener('statechange', syncEngineStatsTimer);
+
+  if (!cameraSupported) {
+    return;
+  }
 
-  videoEl.addEventListener('loadedmetadata', resizeOverlay);
-  window.addEventListener('resize', resizeOverlay);
+  videoEl.addEventListener('loadedmetadata', () => scanner.render());
 
   startButtonEl.addEventListener('click', handleStart);
+  scanOnceButtonEl?.addEventListener('click', handleScanOnce);
   stopButtonEl.addEventListener('click', handleStop);
   cameraSelectEl.addEventListener('change', handleCameraChange);
-  algorithmSelectEl?.addEventListener('change', handleAlgorithmChange);
-  clearButtonEl.addEventListener('click', handleClearResults);
+  bindCameraControls();
 
   document.addEventListener('visibilitychange', () => {
     if (document.visibilityState === 'hidden') {
-      stopDetectionLoop();
-    } else if (startButtonEl.disabled) {
-      startDetectionLoop();
+      scanner.pause();
+    } else {
+      scanner.resume();
     }
   });
 }
@@ -0,0 +1,53 @@
+// フォーマット名は BarcodeDetector の表記 (小文字のスネークケース) に揃えて扱う。
+// zxing は ZXing の BarcodeFormat の名前。
+export const BARCODE_FORMATS = [
+  { id: 'qr_code', label: 'QR Code', zxing: 'QR_CODE' },
+  { id: 'data_matrix', label: 'Data Matrix', zxing: 'DATA_MATRIX' },
+  { id: 'aztec', label: 'Aztec', zxing: 'AZTEC' },
+  { id: 'pdf417', label: 'PDF417', zxing: 'PDF_417' },
+  { id: 'ean_13', label: 'EAN-13', zxing: 'EAN_13' },
+  { id: 'ean_8', label: 'EAN-8', zxing: 'EAN_8' },
+  { id: 'upc_a', label: 'UPC-A', zxing: 'UPC_A' },
+  { id: 'upc_e', label: 'UPC-E', zxing: 'UPC_E' },
+  { id: 'code_128', label: 'Code 128', zxing: 'CODE_128' },
+  { id: 'code_39', label: 'Code 39', zxing: 'CODE_39' },
+  { id: 'code_93', label: 'Code 93', zxing: 'CODE_93' },
+  { id: 'codabar', label: 'Codabar', zxing: 'CODABAR' },
+  { id: 'itf', label: 'ITF', zxing: 'ITF' },
+  { id: 'rss_14', label: 'GS1 DataBar', zxing: 'RSS_14' },
+  { id: 'rss_expanded', label: 'GS1 DataBar Expanded', zxing: 'RSS_EXPANDED' },
+];
+
+const FORMAT_ALIASES = {
+  pdf_417: 'pdf417',
+  databar: 'rss_14',
+  databar_expanded: 'rss_expanded',
+};
+
+export const ZXING_FORMATS = BARCODE_FORMATS.map(({ id }) => id);
+
+// 'EAN_13' / 'ean-13' / 'ean_13' などを 'ean_13' に揃える
+export function normalizeFormat(name) {
+  const key = String(name ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[-\s]+/g, '_');
+  return FORMAT_ALIASES[key] ?? key;
+}
+
+export function normalizeFormats(names) {
+  if (!Array.isArray(names)) {
+    return [];
+  }
+  return Array.from(new Set(names.map(normalizeFormat).filter(Boolean)));
+}
+
+export function toZXingFormat(name) {
+  const id = normalizeFormat(name);
+  return BARCODE_FORMATS.find((format) => format.id === id)?.zxing ?? null;
+}
+
+export function getFormatLabel(name) {
+  const id = normalizeFormat(name);
+  return BARCODE_FORMATS.find((format) => format.id === id)?.label ?? name;
+}
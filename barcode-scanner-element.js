@@ -0,0 +1,617 @@
+import { BarcodeScanner, DETECTOR_DEFINITIONS, SCHEDULE_PRESETS } from './barcode-scanner.js';
+
+const DEFAULT_INTERVAL_MS = 250;
+
+const TEMPLATE = document.createElement('template');
+TEMPLATE.innerHTML = `
+  <style>
+    :host {
+      display: block;
+      --accent: #38bdf8;
+      --danger: #f87171;
+    }
+
+    :host([hidden]),
+    [hidden] {
+      display: none !important;
+    }
+
+    .video-wrapper {
+      position: relative;
+      width: 100%;
+      aspect-ratio: 16 / 9;
+      background-color: rgba(15, 23, 42, 0.5);
+      border-radius: 0.75rem;
+      overflow: hidden;
+    }
+
+    video {
+      width: 100%;
+      height: 100%;
+      object-fit: cover;
+      display: block;
+    }
+
+    canvas {
+      position: absolute;
+      inset: 0;
+      width: 100%;
+      height: 100%;
+      pointer-events: none;
+    }
+
+    .hint {
+      position: absolute;
+      inset: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      text-align: center;
+      padding: 1rem;
+      background: rgba(15, 23, 42, 0.7);
+      color: var(--danger);
+      font-weight: 600;
+    }
+
+    .controls {
+      display: flex;
+      flex-direction: column;
+      gap: 0.75rem;
+      margin-top: 0.65rem;
+    }
+
+    .button-row {
+      display: flex;
+      gap: 0.75rem;
+      flex-wrap: wrap;
+    }
+
+    .button-row button {
+      flex: 1 1 30%;
+    }
+
+    select,
+    button {
+      border-radius: 0.5rem;
+      border: 1px solid rgba(148, 163, 184, 0.4);
+      background: rgba(15, 23, 42, 0.4);
+      color: inherit;
+      font: inherit;
+      padding: 0.6rem 0.75rem;
+    }
+
+    button {
+      cursor: pointer;
+      border-color: rgba(56, 189, 248, 0.5);
+    }
+
+    button:disabled {
+      cursor: not-allowed;
+      opacity: 0.5;
+    }
+
+    .status {
+      font-size: 0.9rem;
+      opacity: 0.85;
+      text-align: center;
+    }
+
+    .result-list {
+      list-style: none;
+      padding: 0;
+      margin: 0.65rem 0 0;
+      display: flex;
+      flex-direction: column;
+      gap: 0.5rem;
+      max-height: 12rem;
+      overflow: auto;
+    }
+
+    .result-list li {
+      padding: 0.6rem 0.75rem;
+      border-radius: 0.75rem;
+      background: rgba(56, 189, 248, 0.15);
+      border: 1px solid rgba(56, 189, 248, 0.25);
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: space-between;
+      gap: 0.25rem 1rem;
+    }
+
+    .result-value {
+      font-weight: 600;
+      word-break: break-word;
+    }
+
+    .result-meta {
+      font-size: 0.85rem;
+      opacity: 0.75;
+    }
+  </style>
+  <div class="video-wrapper" part="preview">
+    <video playsinline autoplay muted></video>
+    <canvas part="overlay"></canvas>
+    <div class="hint" hidden>カメラ利用が許可されていません。ブラウザの設定を確認してください。</div>
+  </div>
+  <div class="controls" part="controls">
+    <div class="button-row">
+      <button class="start" type="button">開始</button>
+      <button class="stop" type="button" disabled>停止</button>
+      <button class="clear" type="button">クリア</button>
+    </div>
+    <select class="camera" aria-label="使用するカメラ"></select>
+    <select class="algorithm" aria-label="検出アルゴリズム"></select>
+    <output class="status">準備完了</output>
+  </div>
+  <ul class="result-list" part="results"></ul>
+`;
+
+function parseFormats(value) {
+  const formats = String(value ?? '')
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  return formats.length ? formats : null;
+}
+
+// 確定のしきい値。指定のない項目は BarcodeScanner の既定値を使う
+function parseConfirmation(element) {
+  const options = {};
+  const requiredReads = Number(element.getAttribute('confirm-reads'));
+  const windowFrames = Number(element.getAttribute('confirm-frames'));
+  if (Number.isFinite(requiredReads) && requiredReads >= 1) {
+    options.requiredReads = requiredReads;
+  }
+  if (Number.isFinite(windowFrames) && windowFrames >= 1) {
+    options.windowFrames = windowFrames;
+  }
+  return options;
+}
+
+function parseInterval(value) {
+  const interval = Number(value);
+  return Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_INTERVAL_MS;
+}
+
+// <barcode-scanner> 要素。BarcodeScanner をシャドウ DOM 内の video / canvas / 操作部品と組み合わせる。
+//
+// 属性:
+//   algorithm  検出アルゴリズム ('native' / 'zxing' / 'auto')。省略時は利用可能なもの
+//   formats    検出するフォーマット (カンマまたは空白区切り。ean_13 / EAN_13 のどちらの表記でもよい)
+//   interval   標準の検出ペースでの最短の検出間隔 (ミリ秒)
+//   schedule   検出ペース ('balanced' / 'battery-saver' / 'max-speed')
+//   camera     使用するカメラの deviceId
+//   confirm-reads   値を確定するのに必要な読み取り回数
+//   confirm-frames  読み取り回数を数える直近の検出回数
+//   preprocess ZXing で読めなかったフレームを補正して再試行する
+//   high-resolution  カメラの最大解像度で撮り、タイルに分けて小さなバーコードを探す
+//   autostart  接続時にカメラを開始する
+//
+// イベント:
+//   barcodedetected  検出のあったフレームごと。detail: { detections, added, results }
+export class BarcodeScannerElement extends HTMLElement {
+  static get observedAttributes() {
+    return [
+      'algorithm',
+      'formats',
+      'interval',
+      'schedule',
+      'camera',
+      'confirm-reads',
+      'confirm-frames',
+      'preprocess',
+      'high-resolution',
+      'autostart',
+    ];
+  }
+
+  constructor() {
+    super();
+
+    const root = this.attachShadow({ mode: 'open' });
+    root.append(TEMPLATE.content.cloneNode(true));
+
+    this._videoEl = root.querySelector('video');
+    this._overlayEl = root.querySelector('canvas');
+    this._wrapperEl = root.querySelector('.video-wrapper');
+    this._hintEl = root.querySelector('.hint');
+    this._startButtonEl = root.querySelector('.start');
+    this._stopButtonEl = root.querySelector('.stop');
+    this._clearButtonEl = root.querySelector('.clear');
+    this._cameraSelectEl = root.querySelector('.camera');
+    this._algorithmSelectEl = root.querySelector('.algorithm');
+    this._statusEl = root.querySelector('.status');
+    this._resultListEl = root.querySelector('.result-list');
+
+    this._scanner = new BarcodeScanner({
+      video: this._videoEl,
+      overlay: this._overlayEl,
+      container: this._wrapperEl,
+      interval: parseInterval(this.getAttribute('interval')),
+      schedule: this.getAttribute('schedule') ?? undefined,
+      formats: parseFormats(this.getAttribute('formats')),
+      confirmation: parseConfirmation(this),
+      preprocess: this.hasAttribute('preprocess'),
+      highResolution: this.hasAttribute('high-resolution'),
+    });
+    this._ready = null;
+    this._startPromise = null;
+    this._resizeObserver = new ResizeObserver(() => this._scanner.render());
+
+    this._scanner.addEventListener('detected', (event) => {
+      this._renderResults();
+      this.dispatchEvent(
+        new CustomEvent('barcodedetected', { detail: event.detail, bubbles: true, composed: true }),
+      );
+    });
+    this._scanner.addEventListener('lost', () => this._renderResults());
+    this._scanner.addEventListener('error', (event) => {
+      const { error, context } = event.detail;
+      if (context === 'detector') {
+        this._statusEl.value = '選択したアルゴリズムが利用できません';
+        this._renderAlgorithmOptions();
+      } else {
+        console.error(error);
+        this._statusEl.value = '検出エラーが発生しました';
+      }
+    });
+
+    this._videoEl.addEventListener('loadedmetadata', () => this._scanner.resizeOverlay());
+    this._startButtonEl.addEventListener('click', () => this.start());
+    this._stopButtonEl.addEventListener('click', () => this.stop());
+    this._clearButtonEl.addEventListener('click', () => this.clear());
+    this._cameraSelectEl.addEventListener('change', () => {
+      this.setAttribute('camera', this._cameraSelectEl.value);
+    });
+    this._algorithmSelectEl.addEventListener('change', () => {
+      this.setAttribute('algorithm', this._algorithmSelectEl.value);
+    });
+  }
+
+  get scanner() {
+    return this._scanner;
+  }
+
+  get algorithm() {
+    return this._scanner.algorithm;
+  }
+
+  set algorithm(value) {
+    this.setAttribute('algorithm', value);
+  }
+
+  get formats() {
+    return this._scanner.formats ? [...this._scanner.formats] : null;
+  }
+
+  set formats(value) {
+    if (Array.isArray(value) && value.length) {
+      this.setAttribute('formats', value.join(','));
+    } else {
+      this.removeAttribute('formats');
+    }
+  }
+
+  get interval() {
+    return this._scanner.interval;
+  }
+
+  set interval(value) {
+    this.setAttribute('interval', String(value));
+  }
+
+  get camera() {
+    return this._scanner.activeDeviceId ?? this.getAttribute('camera');
+  }
+
+  set camera(value) {
+    if (value) {
+      this.setAttribute('camera', value);
+    } else {
+      this.removeAttribute('camera');
+    }
+  }
+
+  get autostart() {
+    return this.hasAttribute('autostart');
+  }
+
+  set autostart(value) {
+    this.toggleAttribute('autostart', Boolean(value));
+  }
+
+  get results() {
+    return this._scanner.getResults();
+  }
+
+  connectedCallback() {
+    this._resizeObserver.observe(this._wrapperEl);
+    this._ready = this._initialize();
+  }
+
+  // 要素が外されたらカメラを確実に解放する
+  disconnectedCallback() {
+    this._resizeObserver.disconnect();
+    this._scanner.destroy();
+    this._updateButtons();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) {
+      return;
+    }
+
+    switch (name) {
+      case 'algorithm':
+        this._applyAlgorithm(newValue);
+        break;
+      case 'formats':
+        this._applyFormats(parseFormats(newValue));
+        break;
+      case 'interval':
+        this._scanner.interval = parseInterval(newValue);
+        break;
+      case 'schedule':
+        this._scanner.setSchedule(SCHEDULE_PRESETS[newValue] ? newValue : 'balanced');
+        break;
+      case 'camera':
+        this._applyCamera(newValue);
+        break;
+      case 'confirm-reads':
+      case 'confirm-frames':
+        this._scanner.setConfirmation(parseConfirmation(this));
+        break;
+      case 'preprocess':
+        this._scanner.setPreprocessing(newValue !== null);
+        break;
+      case 'high-resolution':
+        this._applyHighResolution(newValue !== null);
+        break;
+      case 'autostart':
+        if (newValue !== null && this.isConnected && !this._scanner.isRunning) {
+          this.start();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  // 属性とボタンの両方から呼ばれても、カメラの起動は一度だけにする
+  start() {
+    if (!this._startPromise) {
+      this._startPromise = this._start().finally(() => {
+        this._startPromise = null;
+      });
+    }
+    return this._startPromise;
+  }
+
+  async _start() {
+    await this._ready;
+    if (!this.isConnected || this._scanner.isRunning) {
+      return;
+    }
+
+    if (!this._scanner.isAvailable(this._scanner.algorithm)) {
+      this._statusEl.value = '利用可能な検出アルゴリズムがありません';
+      return;
+    }
+
+    this._startButtonEl.disabled = true;
+    this._statusEl.value = 'カメラを起動中…';
+
+    try {
+      await this._scanner.start({ deviceId: this.getAttribute('camera') || undefined });
+      // 起動中に要素が外された場合は、取得したストリームをすぐに止める
+      if (!this.isConnected) {
+        this._scanner.stop();
+        return;
+      }
+      this._hintEl.hidden = true;
+      await this._renderCameraOptions();
+      this._statusEl.value = `${this._scanner.getAlgorithmLabel()} で検出を開始しました`;
+    } catch (error) {
+      console.error(error);
+      if (error.name === 'NotAllowedError' || error.name === 'SecurityError') {
+        this._hintEl.hidden = false;
+      }
+      this._statusEl.value = error.message || 'カメラを起動できませんでした';
+    } finally {
+      this._updateButtons();
+    }
+  }
+
+  stop() {
+    this._scanner.stop();
+    this._statusEl.value = '停止しました';
+    this._updateButtons();
+  }
+
+  clear() {
+    this._scanner.clearResults();
+    this._renderResults();
+  }
+
+  // 1 つ読み取ったら停止して結果を返す。options は BarcodeScanner#scanOnce と同じ
+  async scanOnce(options = {}) {
+    await this._ready;
+    if (this._scanner.isRunning) {
+      this.stop();
+    }
+
+    this._startButtonEl.disabled = true;
+    this._stopButtonEl.disabled = false;
+    this._statusEl.value = 'カメラを起動中…';
+    try {
+      const detection = await this._scanner.scanOnce({
+        deviceId: this.getAttribute('camera') || undefined,
+        ...options,
+      });
+      this._statusEl.value = `${detection.rawValue} を読み取りました`;
+      return detection;
+    } catch (error) {
+      if (error.name === 'NotAllowedError' || error.name === 'SecurityError') {
+        this._hintEl.hidden = false;
+      }
+      this._statusEl.value = error.message || '読み取れませんでした';
+      throw error;
+    } finally {
+      this._updateButtons();
+    }
+  }
+
+  async _initialize() {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      this._statusEl.value = 'このブラウザはカメラに対応していません';
+      this._startButtonEl.disabled = true;
+      return;
+    }
+
+    this._statusEl.value = '検出アルゴリズムを確認中…';
+    await this._scanner.checkAvailability();
+    const requested = this.getAttribute('algorithm');
+    if (requested && this._scanner.isAvailable(requested)) {
+      this._scanner.setAlgorithm(requested);
+    }
+    this._renderAlgorithmOptions();
+    await this._renderCameraOptions();
+    this._statusEl.value = this._scanner.algorithm ? '準備完了' : '利用可能な検出アルゴリズムがありません';
+    this._updateButtons();
+
+    if (this.isConnected && this.autostart) {
+      this.start();
+    }
+  }
+
+  async _applyAlgorithm(type) {
+    // 接続前の変更は _initialize で反映する
+    if (!this._ready) {
+      return;
+    }
+
+    await this._ready;
+    if (!type || type === this._scanner.algorithm) {
+      return;
+    }
+
+    if (!this._scanner.isAvailable(type)) {
+      this._statusEl.value = `${this._scanner.getAlgorithmLabel(type)} は利用できません`;
+      this._renderAlgorithmOptions();
+      return;
+    }
+
+    this._scanner.setAlgorithm(type);
+    this._renderAlgorithmOptions();
+    this._statusEl.value = `${this._scanner.getAlgorithmLabel(type)} を使用します`;
+  }
+
+  async _applyFormats(formats) {
+    this._scanner.setFormats(formats);
+    if (!this._ready) {
+      return;
+    }
+
+    // 選択したフォーマットを検出できないアルゴリズムは利用不可になる
+    await this._ready;
+    await this._scanner.checkAvailability();
+    this._renderAlgorithmOptions();
+  }
+
+  async _applyCamera(deviceId) {
+    if (!this._ready) {
+      return;
+    }
+
+    await this._ready;
+    if (!this._scanner.isRunning || !deviceId || deviceId === this._scanner.activeDeviceId) {
+      return;
+    }
+
+    try {
+      await this._scanner.switchCamera(deviceId);
+      this._statusEl.value = 'カメラを切り替えました';
+    } catch (error) {
+      console.error(error);
+      this._statusEl.value = 'カメラを切り替えられませんでした';
+    }
+    this._renderCameraOptions();
+  }
+
+  async _applyHighResolution(enabled) {
+    if (enabled === this._scanner.highResolution) {
+      return;
+    }
+
+    try {
+      await this._scanner.setHighResolution(enabled);
+    } catch (error) {
+      console.error(error);
+      this._statusEl.value = '解像度を切り替えられませんでした';
+    }
+  }
+
+  _renderAlgorithmOptions() {
+    this._algorithmSelectEl.replaceChildren(
+      ...DETECTOR_DEFINITIONS.map(({ id, label }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = this._scanner.isAvailable(id) ? label : `${label} (利用不可)`;
+        option.disabled = !this._scanner.isAvailable(id);
+        return option;
+      }),
+    );
+    this._algorithmSelectEl.value = this._scanner.algorithm ?? '';
+    this._algorithmSelectEl.disabled = !this._scanner.algorithm;
+  }
+
+  async _renderCameraOptions() {
+    let cameras = [];
+    try {
+      cameras = await this._scanner.listCameras();
+    } catch (error) {
+      console.warn('カメラ一覧を取得できませんでした', error);
+    }
+
+    this._cameraSelectEl.replaceChildren(
+      ...cameras.map((camera, index) => {
+        const option = document.createElement('option');
+        option.value = camera.deviceId;
+        option.textContent = camera.label || `カメラ ${index + 1}`;
+        return option;
+      }),
+    );
+
+    const selected = this._scanner.activeDeviceId || this.getAttribute('camera');
+    if (selected && cameras.some((camera) => camera.deviceId === selected)) {
+      this._cameraSelectEl.value = selected;
+    }
+    this._cameraSelectEl.hidden = cameras.length <= 1;
+  }
+
+  _renderResults() {
+    const now = Date.now();
+    this._resultListEl.replaceChildren(
+      ...this._scanner.getResults().map((result) => {
+        const listItem = document.createElement('li');
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'result-value';
+        valueSpan.textContent = result.rawValue || '(値なし)';
+        const metaSpan = document.createElement('span');
+        metaSpan.className = 'result-meta';
+        metaSpan.textContent = `${result.format} / ${Math.max(0, Math.round((now - result.lastSeen) / 1000))} 秒前`;
+        listItem.append(valueSpan, metaSpan);
+        return listItem;
+      }),
+    );
+  }
+
+  _updateButtons() {
+    const running = this._scanner.isRunning;
+    this._startButtonEl.disabled = running || !this._scanner.algorithm;
+    this._stopButtonEl.disabled = !running;
+  }
+}
+
+if (!customElements.get('barcode-scanner')) {
+  customElements.define('barcode-scanner', BarcodeScannerElement);
+}
@@ -0,0 +1,1258 @@
+import { normalizeFormats } from './barcode-formats.js';
+import { validateBarcode } from './check-digits.js';
+import { DetectionConfirmer } from './confirmation.js';
+import { DEBUG_VIEWS, drawDebugFrame, ScanDiagnostics } from './diagnostics.js';
+import {
+  configureDetector,
+  createCombinedDetector,
+  createDetectorByType,
+  DETECTOR_DEFINITIONS,
+  getSourceSize,
+  getSupportedFormatsByType,
+  normalizeTiling,
+  TiledBarcodeDetector,
+  ZXING_WORKER_ERROR_NAME,
+} from './detectors.js';
+import { DetectionScheduler, SCHEDULE_PRESETS } from './scheduler.js';
+import { BarcodeTracker } from './tracker.js';
+
+export { DEBUG_VIEWS, DETECTOR_DEFINITIONS, SCHEDULE_PRESETS };
+
+const DEFAULT_INTERVAL_MS = 250;
+const DEFAULT_TTL_MS = 8000;
+const DEFAULT_VIDEO_CONSTRAINTS = {
+  width: { ideal: 1280 },
+  height: { ideal: 720 },
+};
+// 高解像度モードで最初に要求する解像度。開始後にカメラの最大解像度へ引き上げる
+const HIGH_RESOLUTION_VIDEO_CONSTRAINTS = {
+  width: { ideal: 3840 },
+  height: { ideal: 2160 },
+};
+const SCAN_REGION_HANDLE_SIZE = 20;
+const DEFAULT_FLASH_MS = 300;
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function createNamedError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+function getBoundingRectFromPoints(points) {
+  if (!Array.isArray(points) || points.length === 0) {
+    return null;
+  }
+
+  let minX = Number.POSITIVE_INFINITY;
+  let minY = Number.POSITIVE_INFINITY;
+  let maxX = Number.NEGATIVE_INFINITY;
+  let maxY = Number.NEGATIVE_INFINITY;
+
+  for (const point of points) {
+    if (!point) continue;
+    minX = Math.min(minX, point.x);
+    minY = Math.min(minY, point.y);
+    maxX = Math.max(maxX, point.x);
+    maxY = Math.max(maxY, point.y);
+  }
+
+  if (!Number.isFinite(minX) || !Number.isFinite(minY) || !Number.isFinite(maxX) || !Number.isFinite(maxY)) {
+    return null;
+  }
+
+  return {
+    x: minX,
+    y: minY,
+    width: Math.max(1, maxX - minX),
+    height: Math.max(1, maxY - minY),
+  };
+}
+
+// カメラ制御・検出ループ・結果の保持とオーバーレイ描画をまとめたスキャナー本体。
+// ページの要素 ID には依存せず、渡された video / canvas だけを扱う。
+//
+// イベント:
+//   detected    確定した検出のあったフレームごと。detail: { detections, added, results }
+//   invalid     scanOnce の validate で除外した値。detail: { detection }
+//   lost        TTL を過ぎた結果が消えたとき。detail: { lost, results }
+//   error       検出ループ中のエラー。detail: { error, context }
+//   statechange 状態の変化。detail: { state, previousState }
+export class BarcodeScanner extends EventTarget {
+  constructor({
+    video,
+    overlay = null,
+    container = null,
+    algorithm = null,
+    interval = DEFAULT_INTERVAL_MS,
+    ttl = DEFAULT_TTL_MS,
+    formats = null,
+    confirmation = {},
+    tracking = {},
+    preprocess = false,
+    highResolution = false,
+    tiling = {},
+    schedule = 'balanced',
+    videoConstraints = DEFAULT_VIDEO_CONSTRAINTS,
+    checkDigits = {},
+  } = {}) {
+    super();
+
+    if (!(video instanceof HTMLVideoElement)) {
+      throw new TypeError('video には HTMLVideoElement を指定してください');
+    }
+
+    this.video = video;
+    this.overlay = overlay;
+    this.overlayCtx = overlay?.getContext('2d', { willReadFrequently: true }) ?? null;
+    this.container = container;
+    this._scheduler = null;
+    this.schedule = SCHEDULE_PRESETS[schedule] ? schedule : 'balanced';
+    this.interval = interval;
+    this.ttl = ttl;
+    const initialFormats = normalizeFormats(formats);
+    this.formats = initialFormats.length ? initialFormats : null;
+    this.preprocess = preprocess;
+    this.highResolution = highResolution;
+    this.tiling = normalizeTiling(tiling);
+    this.videoConstraints = videoConstraints;
+    // チェックディジットの検証の設定 ({ code39CheckCharacter })。validateBarcode に渡す
+    this.checkDigits = { code39CheckCharacter: Boolean(checkDigits.code39CheckCharacter) };
+
+    this.state = 'idle';
+    this.mediaStream = null;
+    this.activeDeviceId = null;
+    this.stillSource = null;
+    this.scanRegion = null;
+    this.results = new Map();
+    this.tentative = [];
+
+    this._confirmer = null;
+    this.confirmation = null;
+    this.setConfirmation(confirmation);
+    this._tracker = new BarcodeTracker(tracking);
+    this._animationFrame = null;
+    this._flashes = new Map();
+    this.diagnostics = new ScanDiagnostics();
+    this.debugView = null;
+    this._debugCanvas = null;
+    this._debugRect = null;
+    this._algorithm = algorithm;
+    this._detectorCache = new Map();
+    // キャッシュした検出器に反映済みのフォーマットと前処理の設定
+    this._detectorConfigs = new Map();
+    this._tiledDetector = null;
+    // ZXing のワーカーが一度停止したら、以降はメインスレッドで検出する
+    this._zxingWorkerFailed = false;
+    this._availability = new Map(DETECTOR_DEFINITIONS.map(({ id }) => [id, false]));
+    this._unavailableReasons = new Map();
+    this._loopGeneration = 0;
+    this._lastOverlayWidth = 0;
+    this._lastOverlayHeight = 0;
+    this._lastOverlayDpr = 0;
+  }
+
+  get algorithm() {
+    return this._algorithm;
+  }
+
+  // 標準プリセットでの最短の検出間隔 (ミリ秒)
+  get interval() {
+    return this._interval;
+  }
+
+  set interval(value) {
+    this._interval = value;
+    this._scheduler?.configure(this._getScheduleOptions());
+  }
+
+  get isRunning() {
+    return Boolean(this.mediaStream);
+  }
+
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  _setState(state) {
+    if (state === this.state) {
+      return;
+    }
+    const previousState = this.state;
+    this.state = state;
+    this._emit('statechange', { state, previousState });
+  }
+
+  // ---- 検出アルゴリズム ----
+
+  getAlgorithmLabel(type = this._algorithm) {
+    const entry = DETECTOR_DEFINITIONS.find((definition) => definition.id === type);
+    return entry?.label ?? type;
+  }
+
+  isAvailable(type) {
+    return Boolean(this._availability.get(type));
+  }
+
+  // 利用できない理由 (初期化で発生した例外)。利用できるか未確認なら null
+  getUnavailableReason(type) {
+    return this._unavailableReasons.get(type) ?? null;
+  }
+
+  // types を指定すると、そのアルゴリズムの検出器だけを作って確かめる
+  async checkAvailability(types = DETECTOR_DEFINITIONS.map(({ id }) => id)) {
+    // 一方のエンジンだけで動いている自動は、もう一方が使えるようになっていれば組み直す
+    if (this._detectorCache.get('auto')?.partial) {
+      this._detectorCache.delete('auto');
+    }
+
+    for (const id of types) {
+      let available = false;
+      this._unavailableReasons.delete(id);
+      try {
+        available = Boolean(await this._ensureDetector(id));
+      } catch (error) {
+        this._detectorCache.delete(id);
+        this._unavailableReasons.set(id, error);
+        console.warn(`${this.getAlgorithmLabel(id)} は利用できません`, error);
+      }
+      this._availability.set(id, available);
+    }
+
+    if (!this._algorithm || !this.isAvailable(this._algorithm)) {
+      const fallback = DETECTOR_DEFINITIONS.find(({ id }) => this.isAvailable(id));
+      this._algorithm = fallback?.id ?? null;
+    }
+
+    return new Map(this._availability);
+  }
+
+  setAlgorithm(type) {
+    if (!this.isAvailable(type)) {
+      throw new Error(`${this.getAlgorithmLabel(type)} は利用できません`);
+    }
+    this._algorithm = type;
+  }
+
+  // 複数フレームでの確認のしきい値 ({ requiredReads, windowFrames, acceptValidChecksum })。false で無効
+  setConfirmation(options) {
+    this._confirmer = options === false ? null : new DetectionConfirmer(options ?? {});
+    // 補正後の値 (回数は整数、直近の検出回数は必要な回数以上) を保持する
+    this.confirmation = this._confirmer
+      ? {
+          requiredReads: this._confirmer.requiredReads,
+          windowFrames: this._confirmer.windowFrames,
+          acceptValidChecksum: this._confirmer.acceptValidChecksum,
+        }
+      : null;
+    this.tentative = [];
+  }
+
+  getSupportedFormats(type = this._algorithm) {
+    return getSupportedFormatsByType(type);
+  }
+
+  // 検出するフォーマットを絞り込む (null または空配列ですべて)。
+  // キャッシュ済みの検出器は作り直さず、次に使うときに設定だけを反映する
+  setFormats(formats) {
+    const normalized = normalizeFormats(formats);
+    this.formats = normalized.length ? normalized : null;
+  }
+
+  // ZXing で読めなかったフレームに前処理 (コントラスト補正・反転・回転など) を試すかどうか
+  setPreprocessing(enabled) {
+    this.preprocess = Boolean(enabled);
+  }
+
+  _getDetectorConfig() {
+    return JSON.stringify([this.formats, this.preprocess]);
+  }
+
+  _disposeDetectors(types = [...this._detectorCache.keys()]) {
+    for (const type of types) {
+      this._detectorCache.get(type)?.dispose?.();
+      this._detectorCache.delete(type);
+    }
+    this._tiledDetector = null;
+  }
+
+  async _ensureDetector(type) {
+    if (!type) {
+      return null;
+    }
+
+    const config = this._getDetectorConfig();
+    const cached = this._detectorCache.get(type);
+    if (cached && this._detectorConfigs.get(type) === config) {
+      return cached;
+    }
+    if (cached && type !== 'auto') {
+      try {
+        await configureDetector(type, cached, { formats: this.formats, preprocess: this.preprocess });
+      } catch (error) {
+        this._disposeDetectors([type]);
+        throw error;
+      }
+      this._detectorConfigs.set(type, config);
+      return cached;
+    }
+
+    // 自動はキャッシュ済みの各エンジンを共有し、ZXing のワーカーを二重に起動しない
+    const detector =
+      type === 'auto'
+        ? await createCombinedDetector((engine) => this._ensureDetector(engine), { shared: true })
+        : await createDetectorByType(type, {
+            formats: this.formats,
+            preprocess: this.preprocess,
+            useWorker: !this._zxingWorkerFailed,
+          });
+    this._detectorCache.set(type, detector);
+    this._detectorConfigs.set(type, config);
+    return detector;
+  }
+
+  // 自動選択時のエンジンごとの実績。自動以外では null
+  getEngineStats() {
+    return this._detectorCache.get(this._algorithm)?.getStats?.() ?? null;
+  }
+
+  async _ensureActiveDetector() {
+    const type = this._algorithm;
+    if (!type || !this.isAvailable(type)) {
+      return null;
+    }
+
+    try {
+      return this._wrapForTiling(await this._ensureDetector(type));
+    } catch (error) {
+      console.error(`${this.getAlgorithmLabel(type)} の初期化に失敗しました`, error);
+      this._detectorCache.delete(type);
+      this._availability.set(type, false);
+      this._emit('error', { error, context: 'detector' });
+      return null;
+    }
+  }
+
+  // ZXing のワーカーが停止した場合は、ワーカーを使う検出器を捨ててメインスレッドの ZXing で作り直し、検出し直す
+  async _detect(detector, source) {
+    const options = { region: this.getScanRegionRect(getSourceSize(source)) };
+    try {
+      return this._validate(await detector.detect(source, options));
+    } catch (error) {
+      if (error?.name !== ZXING_WORKER_ERROR_NAME) {
+        throw error;
+      }
+
+      console.warn('ZXing ワーカーが停止したため、メインスレッドで検出します', error);
+      this._zxingWorkerFailed = true;
+      this._disposeDetectors(['zxing', 'auto']);
+      const fallback = await this._ensureActiveDetector();
+      return fallback ? this._validate(await fallback.detect(source, options)) : [];
+    }
+  }
+
+  // 検出結果にチェックディジットの検証結果を付ける (valid は検証できない値では null)
+  _validate(detections) {
+    return detections.map((detection) => {
+      const { valid, error } = validateBarcode(detection.rawValue, detection.format, this.checkDigits);
+      return { ...detection, valid, validationError: error };
+    });
+  }
+
+  // 高解像度モード。カメラの最大解像度で撮り、重なりのあるタイルに分けて検出する。
+  // tiling は { tileSize, overlap, overviewSize } (いずれもピクセル)
+  async setHighResolution(enabled, tiling = this.tiling) {
+    // 不正な値はカメラを開き直す前に弾く
+    const normalized = normalizeTiling(tiling);
+
+    const resolutionChanged = Boolean(enabled) !== this.highResolution;
+    this.highResolution = Boolean(enabled);
+    this.tiling = normalized;
+    this._tiledDetector = null;
+
+    if (resolutionChanged && this.mediaStream) {
+      await this._initCamera(this.activeDeviceId);
+    }
+  }
+
+  // キャッシュには元の検出器を置き、タイル分割はその外側に被せる
+  _wrapForTiling(detector) {
+    if (!detector || !this.highResolution) {
+      return detector;
+    }
+    if (this._tiledDetector?.detector !== detector) {
+      this._tiledDetector = new TiledBarcodeDetector(detector, this.tiling);
+    }
+    return this._tiledDetector;
+  }
+
+  // ---- 検出ペース ----
+
+  // 'balanced' / 'battery-saver' / 'max-speed'
+  setSchedule(name) {
+    if (!SCHEDULE_PRESETS[name]) {
+      throw new Error(`未知の検出ペースです: ${name}`);
+    }
+    this.schedule = name;
+    this._scheduler?.configure(this._getScheduleOptions());
+  }
+
+  // 現在の検出間隔・平均処理時間・待機中かどうか。検出ループの停止中は null
+  getScheduleStats() {
+    return this._scheduler?.getStats() ?? null;
+  }
+
+  _getScheduleOptions() {
+    const { minInterval, maxInterval, cpuBudget, idleAfterMs } = SCHEDULE_PRESETS[this.schedule];
+    return { minInterval: minInterval ?? this.interval, maxInterval, cpuBudget, idleAfterMs };
+  }
+
+  // ---- 診断 ----
+
+  // 読み取れない原因を調べるための情報。処理時間 (ミリ秒) と検出頻度 (回/秒) は直近の検出ループのもの
+  getDiagnostics() {
+    const track = this.getVideoTrack();
+    const { width, height } = this.getPreviewSize();
+    return {
+      ...this.diagnostics.getSummary(),
+      algorithm: this._algorithm,
+      algorithmLabel: this._algorithm ? this.getAlgorithmLabel() : null,
+      videoWidth: width,
+      videoHeight: height,
+      trackSettings: track?.getSettings?.() ?? null,
+      schedule: this.getScheduleStats(),
+      zxingErrors: this._detectorCache.get(this._algorithm)?.getErrorCounts?.() ?? null,
+    };
+  }
+
+  resetDiagnostics() {
+    this.diagnostics.reset();
+  }
+
+  // プレビューの代わりに ZXing が見ている画像を表示する ('grayscale' / 'binarized')。null で通常の表示
+  setDebugView(mode) {
+    if (mode && !DEBUG_VIEWS[mode]) {
+      throw new Error(`未知の表示です: ${mode}`);
+    }
+    this.debugView = mode || null;
+    this._debugRect = null;
+    if (this.stillSource) {
+      this._updateDebugFrame(this.stillSource).then(() => this.render());
+    } else {
+      this.render();
+    }
+  }
+
+  async _updateDebugFrame(source) {
+    if (!this.debugView) {
+      return;
+    }
+
+    const size = getSourceSize(source);
+    if (!size) {
+      return;
+    }
+
+    const rect = this.getScanRegionRect(size) ?? { x: 0, y: 0, width: size.width, height: size.height };
+    if (!this._debugCanvas) {
+      this._debugCanvas = document.createElement('canvas');
+    }
+    try {
+      await drawDebugFrame(this._debugCanvas, source, rect, this.debugView);
+      this._debugRect = rect;
+    } catch (error) {
+      console.warn('診断用の画像を作成できませんでした', error);
+    }
+  }
+
+  // ---- カメラ ----
+
+  async start({ deviceId } = {}) {
+    if (this.stillSource) {
+      this.clearImage();
+      this.clearResults();
+    }
+
+    const detector = await this._ensureActiveDetector();
+    if (!detector) {
+      throw new Error('利用可能な検出アルゴリズムがありません');
+    }
+
+    this._setState('starting');
+    try {
+      const stream = await this._initCamera(deviceId);
+      this._setState('scanning');
+      this._startLoop();
+      return stream;
+    } catch (error) {
+      this._setState('idle');
+      throw error;
+    }
+  }
+
+  stop() {
+    this._stopLoop();
+    this._stopMediaStream();
+    this._setState('stopped');
+  }
+
+  // 1 つ読み取るまでカメラと検出ループを動かし、最初に確定した結果で解決する。
+  // validate(detection) が false (または false で解決する Promise) を返した値は読み飛ばし、invalid イベントを出す。
+  // timeout はカメラの起動後から数える (許可の確認を待つ時間は含めない)。
+  // reject する場合: timeout 経過 (TimeoutError)、signal の中止や stop() (AbortError)、カメラの起動失敗 (NotAllowedError など)。
+  // 中止はカメラの許可の確認中でもすぐに reject する。終わったらカメラを止め、formats を指定した場合は元に戻す
+  async scanOnce({ formats, timeout = 0, validate = null, deviceId, signal } = {}) {
+    if (this.isRunning) {
+      throw new Error('スキャン中は scanOnce を使えません。先に停止してください');
+    }
+    if (signal?.aborted) {
+      throw signal.reason ?? createNamedError('AbortError', 'スキャンを中止しました');
+    }
+
+    const previousFormats = this.formats;
+    if (formats !== undefined) {
+      this.setFormats(formats);
+    }
+    this.clearResults();
+
+    let settled = false;
+    let settle;
+    const result = new Promise((resolve, reject) => {
+      settle = (error, detection) => {
+        if (settled) return;
+        settled = true;
+        if (error) {
+          reject(error);
+        } else {
+          resolve(detection);
+        }
+      };
+    });
+
+    const handleDetected = async (event) => {
+      for (const detection of event.detail.added) {
+        let valid = true;
+        if (validate) {
+          try {
+            valid = await validate(detection);
+          } catch (error) {
+            console.warn('読み取った値の検証に失敗しました', error);
+            valid = false;
+          }
+        }
+        if (settled) return;
+        if (valid) {
+          settle(null, detection);
+          return;
+        }
+        this._emit('invalid', { detection });
+      }
+    };
+    const handleStateChange = (event) => {
+      if (event.detail.state === 'stopped') {
+        settle(createNamedError('AbortError', 'スキャンが停止されました'));
+      }
+    };
+    const handleAbort = () => settle(signal.reason ?? createNamedError('AbortError', 'スキャンを中止しました'));
+
+    this.addEventListener('detected', handleDetected);
+    this.addEventListener('statechange', handleStateChange);
+    signal?.addEventListener('abort', handleAbort);
+
+    let timer = null;
+    let finished = false;
+    this.start({ deviceId }).then(
+      (stream) => {
+        // 許可の確認中に中止された場合は、あとから起動したカメラと検出ループをすぐに止める
+        // (その間に別のストリームで起動し直していれば、そちらは止めない)
+        if (finished) {
+          if (!this.mediaStream || this.mediaStream === stream) {
+            this.stop();
+          }
+          return;
+        }
+        if (timeout > 0 && !settled) {
+          timer = setTimeout(() => {
+            settle(createNamedError('TimeoutError', `${timeout / 1000} 秒以内に読み取れませんでした`));
+          }, timeout);
+        }
+      },
+      (error) => settle(error),
+    );
+
+    try {
+      return await result;
+    } finally {
+      finished = true;
+      clearTimeout(timer);
+      this.removeEventListener('detected', handleDetected);
+      this.removeEventListener('statechange', handleStateChange);
+      signal?.removeEventListener('abort', handleAbort);
+      // 起動の完了は待たずに終える。ストリームを取得済みならここで止める
+      if (this.isRunning) {
+        this.stop();
+      }
+      if (formats !== undefined) {
+        this.setFormats(previousFormats);
+      }
+    }
+  }
+
+  async switchCamera(deviceId) {
+    if (!this.mediaStream) {
+      this.activeDeviceId = deviceId || this.activeDeviceId;
+      return null;
+    }
+    return this._initCamera(deviceId);
+  }
+
+  pause() {
+    if (this.state !== 'scanning') {
+      return;
+    }
+    this._stopLoop();
+    this._setState('paused');
+  }
+
+  resume() {
+    if (this.state !== 'paused' || !this.mediaStream) {
+      return;
+    }
+    this._setState('scanning');
+    this._startLoop();
+  }
+
+  getVideoTrack() {
+    return this.mediaStream?.getVideoTracks?.()[0] ?? null;
+  }
+
+  async listCameras() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+      return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === 'videoinput');
+  }
+
+  async _initCamera(deviceId) {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      throw new Error('このブラウザは getUserMedia に対応していません');
+    }
+
+    const constraints = {
+      audio: false,
+      video: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        facingMode: deviceId ? undefined : { ideal: 'environment' },
+        ...(this.highResolution ? HIGH_RESOLUTION_VIDEO_CONSTRAINTS : this.videoConstraints),
+      },
+    };
+
+    const stream = await navigator.mediaDevices.getUserMedia(constraints);
+    this._assignStream(stream);
+
+    const [videoTrack] = stream.getVideoTracks();
+    if (this.highResolution) {
+      await this._applyMaxResolution(videoTrack);
+    }
+    const trackSettings = videoTrack?.getSettings?.() ?? {};
+    this.activeDeviceId =
+      (typeof deviceId === 'string' && deviceId) || trackSettings.deviceId || this.activeDeviceId;
+
+    await this._ensureVideoCanPlay();
+    await this._ensureVideoIsPlaying();
+    // 大きさが変わるとオーバーレイが消えるため、スキャン範囲などをすぐに描き直す
+    this.render();
+
+    return stream;
+  }
+
+  async _applyMaxResolution(track) {
+    const capabilities = track?.getCapabilities?.() ?? {};
+    const width = capabilities.width?.max;
+    const height = capabilities.height?.max;
+    if (!width || !height) {
+      return;
+    }
+
+    try {
+      await track.applyConstraints({ width: { ideal: width }, height: { ideal: height } });
+    } catch (error) {
+      console.warn('カメラの最大解像度を設定できませんでした', error);
+    }
+  }
+
+  _assignStream(stream) {
+    if (this.mediaStream === stream) {
+      return;
+    }
+
+    this._stopMediaStream();
+    this.mediaStream = stream;
+    this.video.srcObject = stream;
+  }
+
+  _stopMediaStream() {
+    if (!this.mediaStream) return;
+    for (const track of this.mediaStream.getTracks()) {
+      track.stop();
+    }
+    this.mediaStream = null;
+    this.video.srcObject = null;
+  }
+
+  _ensureVideoCanPlay() {
+    return new Promise((resolve) => {
+      if (this.video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+        resolve();
+        return;
+      }
+
+      this.video.addEventListener('loadeddata', () => resolve(), { once: true });
+    });
+  }
+
+  async _ensureVideoIsPlaying() {
+    try {
+      await this.video.play();
+    } catch (error) {
+      console.warn('自動再生に失敗しました。ユーザー操作が必要な場合があります。', error);
+    }
+  }
+
+  // ---- 静止画 ----
+
+  async scanImage(source) {
+    if (this.mediaStream) {
+      this.stop();
+    }
+
+    const detector = await this._ensureActiveDetector();
+    if (!detector) {
+      throw new Error('利用可能な検出アルゴリズムがありません');
+    }
+
+    this.stillSource = source;
+    this.resizeOverlay();
+
+    const detections = await this._detect(detector, source);
+    await this._updateDebugFrame(source);
+    // 静止画は 1 フレームしかないため、複数フレームでの確認は行わない
+    this.results = new Map();
+    this._tracker.reset();
+    this._updateResults(detections);
+    if (detections.length === 0) {
+      this.render();
+    }
+
+    return detections;
+  }
+
+  clearImage() {
+    this.stillSource = null;
+  }
+
+  // ---- 検出ループ ----
+
+  // 実行タイミングは DetectionScheduler が決める。tick は見つかった件数を返す
+  _startLoop() {
+    this._stopLoop();
+    const generation = this._loopGeneration;
+
+    const tick = async () => {
+      if (!this.mediaStream || generation !== this._loopGeneration) {
+        return 0;
+      }
+
+      const detector = await this._ensureActiveDetector();
+
+      if (!detector) {
+        this._emit('error', { error: new Error('選択したアルゴリズムが利用できません'), context: 'detector' });
+        return 0;
+      }
+
+      try {
+        const startedAt = performance.now();
+        const detections = await this._detect(detector, this.video);
+        this.diagnostics.recordFrame(performance.now() - startedAt, detections.length);
+        await this._updateDebugFrame(this.video);
+        // 停止や一時停止のあとに、処理中だった tick の結果を反映しない
+        if (generation === this._loopGeneration) {
+          const { confirmed, tentative } = this._confirmer
+            ? this._confirmer.process(detections)
+            : { confirmed: detections, tentative: [] };
+          this._updateResults(confirmed, tentative);
+        }
+        return detections.length;
+      } catch (error) {
+        console.error('Detection loop error', error);
+        this._emit('error', { error, context: 'detect' });
+        return 0;
+      }
+    };
+
+    this._scheduler = new DetectionScheduler(this.video, this._getScheduleOptions());
+    this._scheduler.start(tick);
+    this._startAnimation();
+  }
+
+  _stopLoop() {
+    this._loopGeneration += 1;
+    this._scheduler?.stop();
+    this._scheduler = null;
+    this._debugRect = null;
+    this._stopAnimation();
+    this.tentative = [];
+    this._confirmer?.reset();
+    this._clearOverlay();
+  }
+
+  // 検出は interval ごとだが、枠は外挿した位置で表示のフレームごとに描き直す
+  _startAnimation() {
+    this._stopAnimation();
+
+    const step = () => {
+      // スキャン範囲は何も見つかっていない間も表示し、ドラッグできるようにする
+      if (this.results.size || this.tentative.length || this.scanRegion || this.debugView) {
+        this.render();
+      }
+      this._animationFrame = window.requestAnimationFrame(step);
+    };
+
+    this._animationFrame = window.requestAnimationFrame(step);
+  }
+
+  _stopAnimation() {
+    if (this._animationFrame) {
+      window.cancelAnimationFrame(this._animationFrame);
+      this._animationFrame = null;
+    }
+  }
+
+  // ---- 結果 ----
+
+  getResults() {
+    return Array.from(this.results.values()).sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+
+  clearResults() {
+    this.results = new Map();
+    this._flashes.clear();
+    this._tracker.reset();
+    this.tentative = [];
+    this._confirmer?.reset();
+    this.render();
+  }
+
+  _updateResults(detections, tentative = []) {
+    const now = Date.now();
+    const added = [];
+    let updated = this.tentative.length > 0 || tentative.length > 0;
+    this.tentative = tentative;
+
+    // 同じ値のラベルが複数あっても、トラックごとに別の結果として扱う
+    const tracks = this._tracker.update(detections, now);
+    detections.forEach((detection, index) => {
+      const { id: key, box, points } = tracks[index];
+      const existing = this.results.get(key);
+      const entry = {
+        ...existing,
+        ...detection,
+        id: key,
+        key,
+        box,
+        points,
+        algorithm: this._algorithm,
+        firstSeen: existing?.firstSeen ?? now,
+        lastSeen: now,
+      };
+      this.results.set(key, entry);
+      if (!existing) {
+        added.push(entry);
+      }
+      updated = true;
+    });
+
+    const lost = [];
+    for (const [key, value] of Array.from(this.results.entries())) {
+      if (now - value.lastSeen > this.ttl) {
+        this.results.delete(key);
+        this._flashes.delete(key);
+        this._tracker.remove(key);
+        lost.push(value);
+        updated = true;
+      }
+    }
+
+    if (updated) {
+      this.render();
+    }
+
+    if (detections.length) {
+      this._emit('detected', { detections, added, results: this.getResults() });
+    }
+
+    if (lost.length) {
+      this._emit('lost', { lost, results: this.getResults() });
+    }
+  }
+
+  // ---- スキャン範囲 ----
+
+  // 範囲はフレームに対する比率 ({ x, y, width, height } が 0〜1) で保持する
+  setScanRegion(region) {
+    this.scanRegion = region ? { ...region } : null;
+    this.render();
+  }
+
+  getScanRegionRect(size) {
+    if (!this.scanRegion || !size) {
+      return null;
+    }
+
+    const region = this.scanRegion;
+    const x = Math.round(region.x * size.width);
+    const y = Math.round(region.y * size.height);
+    const width = Math.min(size.width - x, Math.round(region.width * size.width));
+    const height = Math.min(size.height - y, Math.round(region.height * size.height));
+
+    if (width <= 0 || height <= 0) {
+      return null;
+    }
+
+    return { x, y, width, height };
+  }
+
+  getScanRegionOverlayRect() {
+    const size = this.getPreviewSize();
+    if (!this.scanRegion || !size.width || !size.height) {
+      return null;
+    }
+
+    return this.convertBoxToOverlay({
+      x: this.scanRegion.x * size.width,
+      y: this.scanRegion.y * size.height,
+      width: this.scanRegion.width * size.width,
+      height: this.scanRegion.height * size.height,
+    });
+  }
+
+  getScanRegionCorners(rect = this.getScanRegionOverlayRect()) {
+    if (!rect) {
+      return [];
+    }
+    return [
+      { mode: 'nw', x: rect.x, y: rect.y },
+      { mode: 'ne', x: rect.x + rect.width, y: rect.y },
+      { mode: 'sw', x: rect.x, y: rect.y + rect.height },
+      { mode: 'se', x: rect.x + rect.width, y: rect.y + rect.height },
+    ];
+  }
+
+  // ---- オーバーレイ ----
+
+  getPreviewSize() {
+    if (this.stillSource) {
+      return getSourceSize(this.stillSource) ?? { width: 0, height: 0 };
+    }
+    return { width: this.video.videoWidth, height: this.video.videoHeight };
+  }
+
+  getOverlayMetrics() {
+    if (!this.overlay) {
+      return null;
+    }
+
+    const { width: videoWidth, height: videoHeight } = this.getPreviewSize();
+    const overlayWidth = this.overlay.clientWidth;
+    const overlayHeight = this.overlay.clientHeight;
+
+    if (!videoWidth || !videoHeight || !overlayWidth || !overlayHeight) {
+      return null;
+    }
+
+    const scale = Math.max(overlayWidth / videoWidth, overlayHeight / videoHeight);
+    const displayedWidth = videoWidth * scale;
+    const displayedHeight = videoHeight * scale;
+    const offsetX = (overlayWidth - displayedWidth) / 2;
+    const offsetY = (overlayHeight - displayedHeight) / 2;
+
+    return { scale, offsetX, offsetY, overlayWidth, overlayHeight };
+  }
+
+  convertPointsToOverlay(points) {
+    const metrics = this.getOverlayMetrics();
+    if (!metrics || !Array.isArray(points) || points.length === 0) {
+      return null;
+    }
+
+    const converted = [];
+
+    for (const point of points) {
+      const x = point?.x ?? point?.getX?.();
+      const y = point?.y ?? point?.getY?.();
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        continue;
+      }
+      converted.push({
+        x: x * metrics.scale + metrics.offsetX,
+        y: y * metrics.scale + metrics.offsetY,
+      });
+    }
+
+    return converted.length ? converted : null;
+  }
+
+  convertBoxToOverlay(box) {
+    const metrics = this.getOverlayMetrics();
+    if (!metrics || !box) {
+      return null;
+    }
+
+    const rawX = box.x * metrics.scale + metrics.offsetX;
+    const rawY = box.y * metrics.scale + metrics.offsetY;
+    const rawWidth = box.width * metrics.scale;
+    const rawHeight = box.height * metrics.scale;
+
+    if ([rawX, rawY, rawWidth, rawHeight].some((value) => !Number.isFinite(value))) {
+      return null;
+    }
+
+    const startX = rawWidth >= 0 ? rawX : rawX + rawWidth;
+    const endX = rawWidth >= 0 ? rawX + rawWidth : rawX;
+    const startY = rawHeight >= 0 ? rawY : rawY + rawHeight;
+    const endY = rawHeight >= 0 ? rawY + rawHeight : rawY;
+
+    const clampedStartX = clamp(startX, 0, metrics.overlayWidth);
+    const clampedEndX = clamp(endX, 0, metrics.overlayWidth);
+    const clampedStartY = clamp(startY, 0, metrics.overlayHeight);
+    const clampedEndY = clamp(endY, 0, metrics.overlayHeight);
+
+    const width = clampedEndX - clampedStartX;
+    const height = clampedEndY - clampedStartY;
+
+    if (width <= 0 || height <= 0) {
+      return null;
+    }
+
+    return {
+      x: clampedStartX,
+      y: clampedStartY,
+      width: Math.max(1, width),
+      height: Math.max(1, height),
+    };
+  }
+
+  // オーバーレイ上の座標をフレームに対する比率へ戻す
+  convertOverlayPointToFrameRatio(point) {
+    const metrics = this.getOverlayMetrics();
+    const size = this.getPreviewSize();
+    if (!metrics) {
+      return null;
+    }
+
+    return {
+      x: (point.x - metrics.offsetX) / metrics.scale / size.width,
+      y: (point.y - metrics.offsetY) / metrics.scale / size.height,
+    };
+  }
+
+  resizeOverlay() {
+    if (!this.overlay) {
+      return;
+    }
+
+    if (this.container) {
+      const { width: intrinsicWidth, height: intrinsicHeight } = this.getPreviewSize();
+      if (intrinsicWidth && intrinsicHeight) {
+        const aspect = `${intrinsicWidth} / ${intrinsicHeight}`;
+        if (this.container.style.aspectRatio !== aspect) {
+          this.container.style.aspectRatio = aspect;
+        }
+      } else if (this.container.style.aspectRatio) {
+        this.container.style.aspectRatio = '';
+      }
+    }
+
+    const rect = this.video.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(rect.width * dpr);
+    const height = Math.round(rect.height * dpr);
+
+    if (!width || !height) {
+      return;
+    }
+
+    if (width === this._lastOverlayWidth && height === this._lastOverlayHeight && dpr === this._lastOverlayDpr) {
+      return;
+    }
+
+    this._lastOverlayWidth = width;
+    this._lastOverlayHeight = height;
+    this._lastOverlayDpr = dpr;
+
+    this.overlay.width = width;
+    this.overlay.height = height;
+    this.overlayCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this._clearOverlay();
+  }
+
+  render() {
+    if (!this.overlayCtx) {
+      return;
+    }
+
+    this.resizeOverlay();
+    this._clearOverlay();
+    this._drawDebugFrame();
+    this._drawScanRegion();
+    this.tentative.forEach((detection) => this._drawBoundingBox(detection, 0, { tentative: true }));
+
+    const now = Date.now();
+    this.getResults().forEach((result, index) => {
+      const predicted = this._tracker.predict(result.id, now);
+      // 色はトラック ID から決め、並び順が変わっても同じ色のままにする
+      this._drawBoundingBox(predicted ? { ...result, ...predicted } : result, result.id ?? index);
+    });
+  }
+
+  _clearOverlay() {
+    if (!this.overlayCtx) {
+      return;
+    }
+    this.overlayCtx.save();
+    this.overlayCtx.setTransform(1, 0, 0, 1, 0, 0);
+    this.overlayCtx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+    this.overlayCtx.restore();
+  }
+
+  _drawDebugFrame() {
+    const metrics = this.getOverlayMetrics();
+    if (!this.debugView || !this._debugRect || !metrics) {
+      return;
+    }
+
+    const ctx = this.overlayCtx;
+    const rect = this._debugRect;
+    ctx.save();
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, metrics.overlayWidth, metrics.overlayHeight);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(
+      this._debugCanvas,
+      rect.x * metrics.scale + metrics.offsetX,
+      rect.y * metrics.scale + metrics.offsetY,
+      rect.width * metrics.scale,
+      rect.height * metrics.scale,
+    );
+    ctx.restore();
+  }
+
+  _drawScanRegion() {
+    const metrics = this.getOverlayMetrics();
+    const rect = this.getScanRegionOverlayRect();
+    if (!metrics || !rect) {
+      return;
+    }
+
+    const ctx = this.overlayCtx;
+    ctx.save();
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.45)';
+    ctx.beginPath();
+    ctx.rect(0, 0, metrics.overlayWidth, metrics.overlayHeight);
+    ctx.rect(rect.x, rect.y, rect.width, rect.height);
+    ctx.fill('evenodd');
+
+    ctx.strokeStyle = '#38bdf8';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([8, 6]);
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#38bdf8';
+    const half = SCAN_REGION_HANDLE_SIZE / 4;
+    for (const corner of this.getScanRegionCorners(rect)) {
+      ctx.fillRect(corner.x - half, corner.y - half, half * 2, half * 2);
+    }
+    ctx.restore();
+  }
+
+  // 結果の枠を一定時間だけ指定した色で強調する (読み取り時の通知用)
+  flashResult(id, { color = '#4ade80', duration = DEFAULT_FLASH_MS } = {}) {
+    if (!this.results.has(id)) {
+      return;
+    }
+    this._flashes.set(id, { color, until: Date.now() + duration });
+    this.render();
+  }
+
+  // 確認中の値は色を付けず、破線の枠だけで表示する
+  _drawBoundingBox(result, index, { tentative = false } = {}) {
+    const ctx = this.overlayCtx;
+    const displayPoints = this.convertPointsToOverlay(result.points);
+    let displayBox = this.convertBoxToOverlay(result.box);
+
+    if ((!displayBox || !displayBox.width || !displayBox.height) && displayPoints) {
+      displayBox = getBoundingRectFromPoints(displayPoints);
+    }
+
+    if (!displayBox) return;
+
+    const hue = (index * 57) % 360;
+    const flash = tentative ? null : this._getFlash(result.id);
+    const strokeStyle = tentative ? 'rgba(226, 232, 240, 0.85)' : flash?.color ?? `hsl(${hue} 85% 65%)`;
+    const fillStyle = tentative ? 'rgba(226, 232, 240, 0.08)' : `hsla(${hue} 85% 50% / 0.15)`;
+
+    ctx.save();
+    ctx.strokeStyle = strokeStyle;
+    ctx.fillStyle = fillStyle;
+    ctx.lineWidth = tentative ? 2 : flash ? 6 : 3;
+    ctx.setLineDash(tentative ? [6, 6] : []);
+    ctx.beginPath();
+
+    if (displayPoints && displayPoints.length >= 3) {
+      ctx.moveTo(displayPoints[0].x, displayPoints[0].y);
+      for (let i = 1; i < displayPoints.length; i += 1) {
+        ctx.lineTo(displayPoints[i].x, displayPoints[i].y);
+      }
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    } else {
+      ctx.roundRect?.(displayBox.x, displayBox.y, displayBox.width, displayBox.height, 12);
+      if (!ctx.roundRect) {
+        ctx.rect(displayBox.x, displayBox.y, displayBox.width, displayBox.height);
+      }
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = strokeStyle;
+    ctx.font = '16px system-ui, sans-serif';
+    ctx.textBaseline = 'top';
+    const value = result.rawValue ? `${result.rawValue}` : '(値なし)';
+    const label = tentative ? `${value} (確認中)` : value;
+    const textY = displayBox.y - 22 >= 0 ? displayBox.y - 22 : displayBox.y + displayBox.height + 4;
+    ctx.fillText(label, displayBox.x + 8, textY);
+    ctx.restore();
+  }
+
+  _getFlash(id) {
+    const flash = this._flashes.get(id);
+    if (flash && flash.until <= Date.now()) {
+      this._flashes.delete(id);
+      return null;
+    }
+    return flash ?? null;
+  }
+
+  destroy() {
+    this.stop();
+    this._disposeDetectors();
+    this.results = new Map();
+    this._tracker.reset();
+  }
+}
@@ -0,0 +1,121 @@
+// ホストページ (親フレームや同じオリジンの別タブ) とスキャナーをつなぐメッセージの取り決め。
+// 形式は docs/bridge.md を参照。互換性のない変更をするときは BRIDGE_VERSION を上げる
+export const BRIDGE_PROTOCOL = 'barcode-scanner';
+export const BRIDGE_VERSION = 1;
+export const BRIDGE_COMMANDS = ['start', 'stop', 'switch-camera', 'set-formats', 'clear'];
+
+export function normalizeOrigins(origins) {
+  const list = typeof origins === 'string' ? origins.split(/[\s,]+/) : Array.from(origins ?? []);
+  return list
+    .map((origin) => origin.trim())
+    .filter(Boolean)
+    .map((origin) => {
+      // '*' を許すと任意のページにスキャン結果を渡してしまうため受け付けない
+      let url;
+      try {
+        url = new URL(origin);
+      } catch {
+        throw new Error(`許可するオリジンが正しくありません: ${origin}`);
+      }
+      if (url.origin === 'null') {
+        throw new Error(`許可するオリジンが正しくありません: ${origin}`);
+      }
+      return url.origin;
+    });
+}
+
+function toMessageDetection({ rawValue, format, id, box, firstSeen }) {
+  return {
+    value: rawValue ?? '',
+    format: format ?? '',
+    trackId: id ?? null,
+    box: box ? { x: box.x, y: box.y, width: box.width, height: box.height } : null,
+    timestamp: firstSeen ?? Date.now(),
+  };
+}
+
+// 検出結果を window.parent と名前付きの BroadcastChannel に送り、ホストからのコマンドを受け取る。
+//
+// 親フレームとのやり取りは allowedOrigins に含まれるオリジンに限る。
+// BroadcastChannel は同じオリジンのページ同士でしか届かないため、オリジンの確認はしない。
+//
+// イベント:
+//   command  ホストからのコマンド。detail: { command, message, source, respond }
+//            source は 'parent' か 'channel'。処理したら respond(ok, payload) で結果を返す
+export class ScanBridge extends EventTarget {
+  constructor({ allowedOrigins = [], channelName = null, target = window.parent } = {}) {
+    super();
+    this.allowedOrigins = normalizeOrigins(allowedOrigins);
+    this.channelName = channelName || null;
+    // 埋め込まれていないページでは window.parent が自分自身になる
+    this.target = target && target !== window && this.allowedOrigins.length ? target : null;
+    this.channel = null;
+    this._handleWindowMessage = (event) => this._handleMessage(event, 'parent');
+    this._handleChannelMessage = (event) => this._handleMessage(event, 'channel');
+  }
+
+  connect() {
+    if (this.target) {
+      window.addEventListener('message', this._handleWindowMessage);
+    }
+    if (this.channelName && typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.addEventListener('message', this._handleChannelMessage);
+    }
+    this.post('ready', { commands: BRIDGE_COMMANDS });
+  }
+
+  disconnect() {
+    window.removeEventListener('message', this._handleWindowMessage);
+    this.channel?.close();
+    this.channel = null;
+  }
+
+  // destination を省略すると親フレームと BroadcastChannel の両方に送る
+  post(type, payload = {}, destination = null) {
+    const message = { protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION, type, ...payload };
+    if (destination !== 'channel') {
+      // targetOrigin は 1 つしか指定できないため、許可したオリジンごとに送る (一致しないものは破棄される)
+      this.allowedOrigins.forEach((origin) => this.target?.postMessage(message, origin));
+    }
+    if (destination !== 'parent') {
+      this.channel?.postMessage(message);
+    }
+  }
+
+  publishDetections(detections, timestamp = Date.now()) {
+    if (detections.length) {
+      this.post('detected', { timestamp, detections: detections.map(toMessageDetection) });
+    }
+  }
+
+  publishState(state) {
+    this.post('state', { state });
+  }
+
+  _handleMessage(event, source) {
+    if (source === 'parent' && (event.source !== this.target || !this.allowedOrigins.includes(event.origin))) {
+      return;
+    }
+
+    const message = event.data;
+    if (message?.protocol !== BRIDGE_PROTOCOL || message.type !== 'command') {
+      return;
+    }
+
+    // 応答はコマンドを送ってきた側にだけ返す
+    const respond = (ok, payload = {}) => this.post('response', { id: message.id ?? null, ok, ...payload }, source);
+    if (message.version !== BRIDGE_VERSION) {
+      respond(false, { error: `version ${BRIDGE_VERSION} のメッセージだけを受け付けます` });
+      return;
+    }
+    if (!BRIDGE_COMMANDS.includes(message.command)) {
+      respond(false, { error: `不明なコマンドです: ${message.command}` });
+      return;
+    }
+
+    this.dispatchEvent(
+      new CustomEvent('command', { detail: { command: message.command, message, source, respond } }),
+    );
+  }
+}
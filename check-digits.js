@@ -0,0 +1,194 @@
+import { isValidGS1CheckDigit } from './gs1.js';
+
+const CODE39_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%';
+
+export function computeGS1CheckDigit(body) {
+  let sum = 0;
+  for (let i = body.length - 1, weight = 3; i >= 0; i -= 1, weight = 4 - weight) {
+    sum += Number(body[i]) * weight;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function computeMod11CheckCharacter(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i += 1) {
+    sum += Number(body[i]) * (body.length + 1 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+export function isValidIsbn10(value) {
+  const text = String(value ?? '').replace(/-/g, '').toUpperCase();
+  return /^\d{9}[\dX]$/.test(text) && computeMod11CheckCharacter(text.slice(0, 9)) === text[9];
+}
+
+export function isValidIssn(value) {
+  const text = String(value ?? '').replace(/-/g, '').toUpperCase();
+  return /^\d{7}[\dX]$/.test(text) && computeMod11CheckCharacter(text.slice(0, 7)) === text[7];
+}
+
+export function isValidCode39CheckCharacter(value) {
+  const text = String(value ?? '').toUpperCase();
+  if (text.length < 2 || [...text].some((char) => !CODE39_CHARSET.includes(char))) {
+    return false;
+  }
+
+  let sum = 0;
+  for (const char of text.slice(0, -1)) {
+    sum += CODE39_CHARSET.indexOf(char);
+  }
+  return CODE39_CHARSET[sum % 43] === text[text.length - 1];
+}
+
+// UPC-E (6 / 7 / 8 桁) を UPC-A の 12 桁に展開する。ナンバーシステムは 0 か 1 のみ
+export function expandUpcE(value) {
+  const text = String(value ?? '');
+  let numberSystem = '0';
+  let digits;
+  let check = null;
+
+  if (/^\d{6}$/.test(text)) {
+    digits = text;
+  } else if (/^[01]\d{6}$/.test(text)) {
+    [numberSystem, digits] = [text[0], text.slice(1)];
+  } else if (/^[01]\d{7}$/.test(text)) {
+    [numberSystem, digits, check] = [text[0], text.slice(1, 7), text[7]];
+  } else {
+    return null;
+  }
+
+  const [d1, d2, d3, d4, d5, d6] = digits;
+  let body;
+  if (d6 === '0' || d6 === '1' || d6 === '2') {
+    body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  } else if (d6 === '3') {
+    body = `${d1}${d2}${d3}00000${d4}${d5}`;
+  } else if (d6 === '4') {
+    body = `${d1}${d2}${d3}${d4}00000${d5}`;
+  } else {
+    body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  }
+
+  const upcBody = `${numberSystem}${body}`;
+  return `${upcBody}${check ?? computeGS1CheckDigit(upcBody)}`;
+}
+
+export function upcAToEan13(value) {
+  return /^\d{12}$/.test(value) ? `0${value}` : null;
+}
+
+export function ean13ToUpcA(value) {
+  return /^0\d{12}$/.test(value) ? value.slice(1) : null;
+}
+
+export function isbn13ToIsbn10(value) {
+  if (!/^978\d{10}$/.test(value)) {
+    return null;
+  }
+  const body = value.slice(3, 12);
+  return `${body}${computeMod11CheckCharacter(body)}`;
+}
+
+// 雑誌の EAN-13 (977 + ISSN 7 桁 + 価格コード 2 桁 + チェックディジット) から ISSN を取り出す
+export function ean13ToIssn(value) {
+  if (!/^977\d{10}$/.test(value)) {
+    return null;
+  }
+  const body = value.slice(3, 10);
+  return `${body.slice(0, 4)}-${body.slice(4)}${computeMod11CheckCharacter(body)}`;
+}
+
+export function toGtin14(value, format) {
+  const text = String(value ?? '');
+  const digits = format === 'upc_e' ? expandUpcE(text) : text;
+  if (!digits || !/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(digits)) {
+    return null;
+  }
+  return digits.padStart(14, '0');
+}
+
+function getGS1Digits(value, format) {
+  switch (format) {
+    case 'ean_13':
+      return /^\d{13}$/.test(value) ? value : null;
+    case 'ean_8':
+      return /^\d{8}$/.test(value) ? value : null;
+    case 'upc_a':
+      return /^\d{12}$/.test(value) ? value : null;
+    case 'upc_e':
+      return /^[01]\d{7}$/.test(value) ? expandUpcE(value) : null;
+    case 'itf':
+      return /^\d{14}$/.test(value) ? value : null;
+    default:
+      return null;
+  }
+}
+
+// 978 / 979 は書籍 (ISBN-13)、977 は逐次刊行物 (ISSN)
+function getGS1Scheme(digits, format) {
+  if (format === 'ean_13' && /^97[89]/.test(digits)) return 'ISBN-13';
+  if (format === 'ean_13' && digits.startsWith('977')) return 'ISSN';
+  if (format === 'itf') return 'ITF-14';
+  return 'GS1 mod 10';
+}
+
+const GS1_LENGTH_ERRORS = {
+  ean_13: 'EAN-13 は 13 桁の数字です',
+  ean_8: 'EAN-8 は 8 桁の数字です',
+  upc_a: 'UPC-A は 12 桁の数字です',
+  upc_e: 'UPC-E は 0 か 1 で始まる 8 桁の数字です',
+};
+
+// チェックディジットの検証結果。valid は検証できない値 (チェック文字のない Code 39 など) では null。
+// Code 39 のチェック文字は任意で、付けていない運用では最後の文字が偶然 (約 1/43 の確率で) 一致した誤読を
+// 正しい値とみなしてしまうため、code39CheckCharacter を true にした場合だけ検証する
+export function validateBarcode(rawValue, format, { code39CheckCharacter = false } = {}) {
+  const value = String(rawValue ?? '');
+
+  if (format in GS1_LENGTH_ERRORS || (format === 'itf' && value.length === 14)) {
+    const digits = getGS1Digits(value, format);
+    if (!digits) {
+      return { valid: false, scheme: 'GS1 mod 10', error: GS1_LENGTH_ERRORS[format] };
+    }
+    const valid = isValidGS1CheckDigit(digits);
+    return { valid, scheme: getGS1Scheme(digits, format), error: valid ? null : 'チェックディジットが一致しません' };
+  }
+
+  if (format === 'code_39' && code39CheckCharacter) {
+    const valid = isValidCode39CheckCharacter(value);
+    return { valid, scheme: 'mod 43', error: valid ? null : 'チェック文字が一致しません' };
+  }
+
+  return { valid: null, scheme: null, error: null };
+}
+
+// 発注システム等で使う正規化した値。該当しないものは含めない
+export function getNormalizedValues(rawValue, format) {
+  const value = String(rawValue ?? '');
+  const values = {};
+
+  const upcA = format === 'upc_e' ? expandUpcE(value) : format === 'upc_a' ? value : null;
+  const ean13 = format === 'ean_13' ? value : upcA ? upcAToEan13(upcA) : null;
+
+  if (format === 'upc_e' && upcA) values.upcA = upcA;
+  if (format === 'ean_13' && ean13ToUpcA(value)) values.upcA = ean13ToUpcA(value);
+  if (format !== 'ean_13' && ean13) values.ean13 = ean13;
+
+  // 元の EAN-13 が正しい場合だけ、変換した値も検証してから載せる
+  const sourceValid = ean13 ? isValidGS1CheckDigit(ean13) : false;
+  const isbn10 = sourceValid ? isbn13ToIsbn10(ean13) : null;
+  if (isbn10 && isValidIsbn10(isbn10)) {
+    values.isbn10 = isbn10;
+  }
+  const issn = sourceValid ? ean13ToIssn(ean13) : null;
+  if (issn && isValidIssn(issn)) {
+    values.issn = issn;
+  }
+
+  const gtin14 = getGS1Digits(value, format) ? toGtin14(value, format) : null;
+  if (gtin14) values.gtin14 = gtin14;
+
+  return values;
+}
@@ -0,0 +1,95 @@
+import { validateBarcode } from './check-digits.js';
+
+const DEFAULT_REQUIRED_READS = 3;
+const DEFAULT_WINDOW_FRAMES = 5;
+
+// 誤り訂正符号を持つ 2 次元シンボルは、デコードできた時点で内容が検証されている
+const ERROR_CORRECTING_FORMATS = new Set(['qr_code', 'data_matrix', 'aztec', 'pdf417']);
+
+export function passesChecksum(detection) {
+  const format = detection.format;
+  const value = String(detection.rawValue ?? '');
+
+  if (ERROR_CORRECTING_FORMATS.has(format)) {
+    return value.length > 0;
+  }
+
+  // スキャナーが付けた検証結果があればそれを使う
+  const valid = detection.valid !== undefined ? detection.valid : validateBarcode(value, format).valid;
+  return valid === true;
+}
+
+function getCandidateKey(detection) {
+  return `${detection.format}\u0000${detection.rawValue ?? ''}`;
+}
+
+// 1 フレームだけの誤読を結果に載せないための確認段階。
+// 同じ値が直近 windowFrames 回の検出のうち requiredReads 回読めたら確定する。
+// 時間ではなく検出の回数で数えるため、検出間隔の長い省電力のペースや高解像度モードでも確定できる。
+// その代わり、検出の間隔が負荷や待機で延びると、確定までにかかる実際の時間に上限はない。
+// acceptValidChecksum が true なら、チェックディジット等で検証できた値は 1 回で確定する。
+// 一度確定した値は、windowFrames 回続けて読めなくなるまで確定のまま扱う。
+export class DetectionConfirmer {
+  constructor({
+    requiredReads = DEFAULT_REQUIRED_READS,
+    windowFrames = DEFAULT_WINDOW_FRAMES,
+    acceptValidChecksum = true,
+  } = {}) {
+    this.requiredReads = Math.max(1, Math.round(requiredReads));
+    this.windowFrames = Math.max(this.requiredReads, Math.round(windowFrames));
+    this.acceptValidChecksum = acceptValidChecksum;
+    this.candidates = new Map();
+    this._frame = 0;
+  }
+
+  // 1 回の検出 (何も見つからなかった回も含む) ごとに呼び、detections を確定したものと確認中のものに分ける
+  process(detections) {
+    this._frame += 1;
+    const frame = this._frame;
+    const confirmed = [];
+    const tentative = [];
+
+    for (const detection of detections) {
+      const key = getCandidateKey(detection);
+      const candidate = this.candidates.get(key) ?? { reads: [], confirmed: false, lastFrame: 0 };
+      // 同じフレームに同じ値が複数あっても 1 回として数える
+      const isNewFrame = candidate.lastFrame !== frame;
+
+      if (candidate.confirmed && frame - candidate.lastFrame > this.windowFrames) {
+        candidate.confirmed = false;
+      }
+
+      candidate.reads = candidate.reads.filter((readFrame) => frame - readFrame < this.windowFrames);
+      if (isNewFrame) {
+        candidate.reads.push(frame);
+      }
+      candidate.lastFrame = frame;
+
+      if (
+        candidate.confirmed ||
+        candidate.reads.length >= this.requiredReads ||
+        (this.acceptValidChecksum && passesChecksum(detection))
+      ) {
+        candidate.confirmed = true;
+        confirmed.push(detection);
+      } else {
+        tentative.push({ ...detection, reads: candidate.reads.length });
+      }
+
+      this.candidates.set(key, candidate);
+    }
+
+    for (const [key, candidate] of this.candidates) {
+      if (frame - candidate.lastFrame > this.windowFrames) {
+        this.candidates.delete(key);
+      }
+    }
+
+    return { confirmed, tentative };
+  }
+
+  reset() {
+    this.candidates.clear();
+    this._frame = 0;
+  }
+}
@@ -0,0 +1,737 @@
+import { normalizeFormat, normalizeFormats, ZXING_FORMATS } from './barcode-formats.js';
+import { addErrorCounts, createErrorCounts, loadZXing, toGrayscale, ZXingDecoder } from './zxing-decoder.js';
+
+const WORKER_STARTUP_TIMEOUT_MS = 10000;
+// 起動後にワーカーが停止したときの例外の name。受け取った側は検出器を作り直す
+export const ZXING_WORKER_ERROR_NAME = 'ZXingWorkerError';
+
+const AUTO_ZXING_INTERVAL_FRAMES = 4;
+
+const DEFAULT_TILE_SIZE = 960;
+const DEFAULT_TILE_OVERLAP = 160;
+const DEFAULT_OVERVIEW_SIZE = 1280;
+
+export const DETECTOR_DEFINITIONS = [
+  { id: 'native', label: 'BarcodeDetector' },
+  { id: 'zxing', label: 'ZXing' },
+  { id: 'auto', label: '自動 (BarcodeDetector + ZXing)' },
+];
+
+export function getSourceSize(source) {
+  if (!source) {
+    return null;
+  }
+
+  let width;
+  let height;
+
+  if (source instanceof HTMLVideoElement) {
+    if (source.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+      return null;
+    }
+    width = source.videoWidth;
+    height = source.videoHeight;
+  } else if (source instanceof HTMLImageElement) {
+    if (!source.complete) {
+      return null;
+    }
+    width = source.naturalWidth;
+    height = source.naturalHeight;
+  } else {
+    // ImageBitmap / ImageData / canvas / VideoFrame
+    width = source.displayWidth ?? source.width;
+    height = source.displayHeight ?? source.height;
+  }
+
+  if (!width || !height) {
+    return null;
+  }
+
+  return { width, height };
+}
+
+export function isDetectionInRegion(detection, region) {
+  const centerX = detection.box.x + detection.box.width / 2;
+  const centerY = detection.box.y + detection.box.height / 2;
+  return (
+    centerX >= region.x &&
+    centerX <= region.x + region.width &&
+    centerY >= region.y &&
+    centerY <= region.y + region.height
+  );
+}
+
+// 検出結果に検出したエンジンを付ける。チェックディジットの検証は BarcodeScanner が設定に沿って行う
+export function annotateDetection(detection, engine) {
+  return { ...detection, engine };
+}
+
+export function offsetDetection(detection, dx, dy) {
+  return {
+    ...detection,
+    box: { ...detection.box, x: detection.box.x + dx, y: detection.box.y + dy },
+    points: Array.isArray(detection.points)
+      ? detection.points.map((point) => ({ x: point.x + dx, y: point.y + dy }))
+      : detection.points,
+  };
+}
+
+export class NativeBarcodeDetector {
+  constructor(formats) {
+    this.configure(formats);
+  }
+
+  // BarcodeDetector は作成後にフォーマットを変えられないため、中身だけを作り直す
+  configure(formats) {
+    const options = Array.isArray(formats) && formats.length ? { formats } : undefined;
+    this.detector = new window.BarcodeDetector(options);
+  }
+
+  async detect(source, { region = null } = {}) {
+    const size = getSourceSize(source);
+    if (!size) {
+      return [];
+    }
+
+    try {
+      const rawResults = await this.detector.detect(source);
+      const detections = rawResults.map((result) => {
+        const cornerPoints = Array.isArray(result.cornerPoints)
+          ? result.cornerPoints
+              .map((point) => {
+                const x = point?.x ?? point?.[0];
+                const y = point?.y ?? point?.[1];
+                if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                  return null;
+                }
+                return { x, y };
+              })
+              .filter(Boolean)
+          : null;
+
+        return {
+          rawValue: result.rawValue,
+          format: normalizeFormat(result.format || 'unknown'),
+          box: {
+            x: result.boundingBox?.x ?? 0,
+            y: result.boundingBox?.y ?? 0,
+            width: result.boundingBox?.width ?? size.width,
+            height: result.boundingBox?.height ?? size.height,
+          },
+          points: cornerPoints && cornerPoints.length ? cornerPoints : null,
+        };
+      });
+      const validated = detections.map((detection) => annotateDetection(detection, 'native'));
+      // BarcodeDetector は切り出せないため、範囲外の結果を捨てる
+      return region ? validated.filter((detection) => isDetectionInRegion(detection, region)) : validated;
+    } catch (error) {
+      if (error?.name === 'InvalidStateError' || error?.name === 'TypeError') {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
+
+export class ZXingBarcodeDetector {
+  constructor(zxing, { formats = null, preprocess = false } = {}) {
+    this.zxing = zxing;
+    this.decoder = new ZXingDecoder(zxing, { formats, preprocess });
+    this.errorCounts = createErrorCounts();
+    this.workerCanvas = document.createElement('canvas');
+    this.workerCtx = this.workerCanvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  detect(source, { region = null } = {}) {
+    const size = getSourceSize(source);
+    if (!size) {
+      return Promise.resolve([]);
+    }
+
+    const crop = region ?? { x: 0, y: 0, width: size.width, height: size.height };
+    const imageData = source instanceof ImageData && !region ? source : this._readImageData(source, crop);
+
+    try {
+      const detections = this.decoder
+        .decode(toGrayscale(imageData), crop.width, crop.height)
+        .map((detection) => annotateDetection(detection, 'zxing'));
+      return Promise.resolve(
+        region ? detections.map((detection) => offsetDetection(detection, crop.x, crop.y)) : detections,
+      );
+    } catch (error) {
+      console.error('ZXing detection error', error);
+      this.errorCounts.other += 1;
+      return Promise.resolve([]);
+    } finally {
+      addErrorCounts(this.errorCounts, this.decoder.takeErrorCounts());
+    }
+  }
+
+  configure({ formats = null, preprocess = false } = {}) {
+    addErrorCounts(this.errorCounts, this.decoder.takeErrorCounts());
+    this.decoder = new ZXingDecoder(this.zxing, { formats, preprocess });
+  }
+
+  // 結果なしとして扱った ZXing の例外の累計 (other はそれ以外の例外)
+  getErrorCounts() {
+    return { ...this.errorCounts };
+  }
+
+  _readImageData(source, crop) {
+    const { x, y, width, height } = crop;
+    this.workerCanvas.width = width;
+    this.workerCanvas.height = height;
+
+    if (source instanceof ImageData) {
+      this.workerCtx.putImageData(source, -x, -y, x, y, width, height);
+    } else {
+      this.workerCtx.drawImage(source, x, y, width, height, 0, 0, width, height);
+    }
+
+    return this.workerCtx.getImageData(0, 0, width, height);
+  }
+}
+
+function createWorkerError(message) {
+  const error = new Error(message || 'ZXing ワーカーが停止しました');
+  error.name = ZXING_WORKER_ERROR_NAME;
+  return error;
+}
+
+export class WorkerZXingDetector {
+  static isSupported() {
+    return (
+      typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap === 'function'
+    );
+  }
+
+  static create({ formats = null, preprocess = false } = {}) {
+    const worker = new Worker(new URL('./zxing-worker.js', import.meta.url), { type: 'module' });
+    worker.postMessage({ type: 'configure', formats, preprocess });
+
+    return new Promise((resolve, reject) => {
+      const timer = window.setTimeout(() => {
+        cleanup();
+        worker.terminate();
+        reject(new Error('ZXing ワーカーの起動がタイムアウトしました'));
+      }, WORKER_STARTUP_TIMEOUT_MS);
+
+      const onMessage = (event) => {
+        if (event.data?.type === 'ready') {
+          cleanup();
+          resolve(new WorkerZXingDetector(worker));
+        } else if (event.data?.type === 'error') {
+          cleanup();
+          worker.terminate();
+          reject(new Error(event.data.message));
+        }
+      };
+
+      const onError = (event) => {
+        cleanup();
+        worker.terminate();
+        reject(new Error(event?.message || 'ZXing ワーカーの起動に失敗しました'));
+      };
+
+      function cleanup() {
+        window.clearTimeout(timer);
+        worker.removeEventListener('message', onMessage);
+        worker.removeEventListener('error', onError);
+      }
+
+      worker.addEventListener('message', onMessage);
+      worker.addEventListener('error', onError);
+    });
+  }
+
+  constructor(worker) {
+    this.worker = worker;
+    this.pending = null;
+    this.nextId = 1;
+    this.failed = false;
+    this.errorCounts = createErrorCounts();
+
+    this.worker.addEventListener('message', (event) => this._handleMessage(event.data));
+    this.worker.addEventListener('error', (event) => {
+      this.failed = true;
+      this._settle(this.pending?.id, () => {
+        throw createWorkerError(event?.message);
+      });
+    });
+  }
+
+  async detect(source, { region = null } = {}) {
+    if (this.failed) {
+      throw createWorkerError();
+    }
+
+    // ワーカーが処理中のフレームがあれば、キューに積まずにこのフレームは捨てる
+    if (this.pending) {
+      return [];
+    }
+
+    if (!getSourceSize(source)) {
+      return [];
+    }
+
+    const id = this.nextId++;
+    const promise = new Promise((resolve, reject) => {
+      this.pending = { id, region, resolve, reject };
+    });
+
+    try {
+      const frame = region
+        ? await createImageBitmap(source, region.x, region.y, region.width, region.height)
+        : await createImageBitmap(source);
+      this.worker.postMessage({ type: 'detect', id, frame }, [frame]);
+    } catch (error) {
+      this.pending = null;
+      if (error?.name === 'InvalidStateError') {
+        return [];
+      }
+      throw error;
+    }
+
+    return promise;
+  }
+
+  // ワーカーは起動し直さず、デコーダーだけを作り直させる
+  configure({ formats = null, preprocess = false } = {}) {
+    this.worker.postMessage({ type: 'configure', formats, preprocess });
+  }
+
+  getErrorCounts() {
+    return { ...this.errorCounts };
+  }
+
+  dispose() {
+    this.failed = true;
+    this.worker.terminate();
+    this._settle(this.pending?.id, () => []);
+  }
+
+  _handleMessage(message) {
+    if (message?.type !== 'result') {
+      return;
+    }
+
+    addErrorCounts(this.errorCounts, message.errorCounts);
+    if (message.error) {
+      console.error('ZXing detection error', message.error);
+      this.errorCounts.other += 1;
+    }
+
+    this._settle(message.id, (region) => {
+      const detections = (message.detections ?? []).map((detection) => annotateDetection(detection, 'zxing'));
+      return region ? detections.map((detection) => offsetDetection(detection, region.x, region.y)) : detections;
+    });
+  }
+
+  _settle(id, produce) {
+    const pending = this.pending;
+    if (!pending || pending.id !== id) {
+      return;
+    }
+
+    this.pending = null;
+    try {
+      pending.resolve(produce(pending.region));
+    } catch (error) {
+      pending.reject(error);
+    }
+  }
+}
+
+function boxesOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+// BarcodeDetector を毎フレーム使い、見つからなかったフレームと数フレームおきに ZXing でも同じフレームを調べる。
+// 両方で見つかった同じ値・重なる位置の結果は 1 つにまとめ、engine を 'both' にする。
+// native / zxing の一方が null の場合は、もう一方だけで毎フレーム検出する。
+export class CombinedBarcodeDetector {
+  // shared が true の場合、native / zxing は呼び出し側が管理しているため dispose しない
+  constructor({ native, zxing, zxingInterval = AUTO_ZXING_INTERVAL_FRAMES, shared = false }) {
+    this.native = native;
+    this.zxing = zxing;
+    this.zxingInterval = zxingInterval;
+    this.shared = shared;
+    this.frameCount = 0;
+    this.resetStats();
+  }
+
+  // 一方のエンジンだけで検出しているかどうか
+  get partial() {
+    return !this.native || !this.zxing;
+  }
+
+  async detect(source, options = {}) {
+    if (!getSourceSize(source)) {
+      return [];
+    }
+
+    // 映像は非同期処理の間にも進むため、両方のエンジンが同じフレームを見るよう固定する
+    const frame = source instanceof HTMLVideoElement ? await createImageBitmap(source) : source;
+
+    try {
+      this.frameCount += 1;
+      let nativeResults = [];
+      if (this.native) {
+        nativeResults = await this.native.detect(frame, options);
+        this._count('native', nativeResults.length);
+      }
+
+      if (!this.zxing || (nativeResults.length && this.frameCount % this.zxingInterval !== 0)) {
+        return nativeResults;
+      }
+
+      const zxingResults = await this.zxing.detect(frame, options);
+      this._count('zxing', zxingResults.length);
+      return this._merge(nativeResults, zxingResults);
+    } finally {
+      if (frame !== source) {
+        frame.close?.();
+      }
+    }
+  }
+
+  // エンジンごとの実行回数・結果のあったフレーム数・そのエンジンだけが見つけた件数 (使っていないエンジンは null)
+  getStats() {
+    return {
+      native: this.native ? { ...this.stats.native } : null,
+      zxing: this.zxing ? { ...this.stats.zxing } : null,
+    };
+  }
+
+  getErrorCounts() {
+    return this.zxing?.getErrorCounts?.() ?? null;
+  }
+
+  resetStats() {
+    this.stats = {
+      native: { runs: 0, hits: 0, exclusive: 0 },
+      zxing: { runs: 0, hits: 0, exclusive: 0 },
+    };
+  }
+
+  dispose() {
+    if (!this.shared) {
+      this.native?.dispose?.();
+      this.zxing?.dispose?.();
+    }
+  }
+
+  _count(engine, resultCount) {
+    this.stats[engine].runs += 1;
+    if (resultCount > 0) {
+      this.stats[engine].hits += 1;
+    }
+  }
+
+  _merge(nativeResults, zxingResults) {
+    const merged = [...nativeResults];
+    const matchedNative = new Set();
+
+    for (const detection of zxingResults) {
+      const index = merged.findIndex(
+        (candidate, candidateIndex) =>
+          candidateIndex < nativeResults.length &&
+          !matchedNative.has(candidateIndex) &&
+          candidate.rawValue === detection.rawValue &&
+          boxesOverlap(candidate.box, detection.box),
+      );
+
+      if (index >= 0) {
+        matchedNative.add(index);
+        merged[index] = { ...merged[index], engine: 'both' };
+      } else {
+        this.stats.zxing.exclusive += 1;
+        merged.push(detection);
+      }
+    }
+
+    this.stats.native.exclusive += nativeResults.length - matchedNative.size;
+    return merged;
+  }
+}
+
+// 1 辺を overlap 以上重なる長さ tileSize の区間に分ける。端の区間は必ず辺の端に揃える
+function splitAxis(length, tileSize, overlap) {
+  if (length <= tileSize) {
+    return [{ start: 0, size: length }];
+  }
+
+  const count = Math.ceil((length - overlap) / (tileSize - overlap));
+  const step = (length - tileSize) / (count - 1);
+  return Array.from({ length: count }, (_, index) => ({ start: Math.round(index * step), size: tileSize }));
+}
+
+// タイル分割の設定に既定値を補い、矛盾があれば例外にする
+export function normalizeTiling({
+  tileSize = DEFAULT_TILE_SIZE,
+  overlap = DEFAULT_TILE_OVERLAP,
+  overviewSize = DEFAULT_OVERVIEW_SIZE,
+} = {}) {
+  if (!(tileSize > 0) || !(overviewSize > 0)) {
+    throw new RangeError('タイルの大きさは 1 ピクセル以上にしてください');
+  }
+  if (!(overlap >= 0) || overlap >= tileSize) {
+    throw new RangeError('タイルの重なりはタイルの大きさより小さくしてください');
+  }
+  return { tileSize, overlap, overviewSize };
+}
+
+export function computeTiles(area, { tileSize = DEFAULT_TILE_SIZE, overlap = DEFAULT_TILE_OVERLAP } = {}) {
+  const tiles = [];
+  for (const row of splitAxis(area.height, tileSize, overlap)) {
+    for (const column of splitAxis(area.width, tileSize, overlap)) {
+      tiles.push({ x: area.x + column.start, y: area.y + row.start, width: column.size, height: row.size });
+    }
+  }
+  return tiles;
+}
+
+function scaleDetection(detection, scale) {
+  return {
+    ...detection,
+    box: {
+      x: detection.box.x * scale,
+      y: detection.box.y * scale,
+      width: detection.box.width * scale,
+      height: detection.box.height * scale,
+    },
+    points: Array.isArray(detection.points)
+      ? detection.points.map((point) => ({ x: point.x * scale, y: point.y * scale }))
+      : detection.points,
+  };
+}
+
+// 高解像度のフレームを重なりのあるタイルに分けて detector に渡し、遠くの小さなバーコードも読めるようにする。
+// 大きなバーコードはタイルに収まらないため、overviewSize に縮小したフレーム全体も合わせて調べる。
+// タイルの重なりで同じバーコードが複数回見つかった場合は、値が同じで位置の重なるものを 1 つにまとめる。
+export class TiledBarcodeDetector {
+  constructor(detector, tiling = {}) {
+    const { tileSize, overlap, overviewSize } = normalizeTiling(tiling);
+    this.detector = detector;
+    this.tileSize = tileSize;
+    this.overlap = overlap;
+    this.overviewSize = overviewSize;
+  }
+
+  async detect(source, { region = null } = {}) {
+    const size = getSourceSize(source);
+    if (!size) {
+      return [];
+    }
+
+    const area = region ?? { x: 0, y: 0, width: size.width, height: size.height };
+    if (area.width <= this.tileSize && area.height <= this.tileSize) {
+      return this.detector.detect(source, { region });
+    }
+
+    // 全タイルを同じフレームから切り出す
+    const frame = source instanceof HTMLVideoElement ? await createImageBitmap(source) : source;
+
+    try {
+      const detections = await this._detectOverview(frame, area);
+      for (const tile of computeTiles(area, { tileSize: this.tileSize, overlap: this.overlap })) {
+        detections.push(...(await this._detectCrop(frame, tile)));
+      }
+      return this._deduplicate(detections);
+    } finally {
+      if (frame !== source) {
+        frame.close?.();
+      }
+    }
+  }
+
+  getErrorCounts() {
+    return this.detector.getErrorCounts?.() ?? null;
+  }
+
+  dispose() {
+    this.detector.dispose?.();
+  }
+
+  // BarcodeDetector は範囲を指定できないため、タイルごとに切り出した画像を渡す
+  async _detectCrop(frame, rect, scale = 1) {
+    const options =
+      scale === 1
+        ? {}
+        : { resizeWidth: Math.round(rect.width * scale), resizeHeight: Math.round(rect.height * scale) };
+    const crop = await createImageBitmap(frame, rect.x, rect.y, rect.width, rect.height, options);
+
+    try {
+      const detections = await this.detector.detect(crop);
+      return detections.map((detection) =>
+        offsetDetection(scale === 1 ? detection : scaleDetection(detection, 1 / scale), rect.x, rect.y),
+      );
+    } finally {
+      crop.close();
+    }
+  }
+
+  async _detectOverview(frame, area) {
+    const scale = Math.min(1, this.overviewSize / Math.max(area.width, area.height));
+    const detections = await this._detectCrop(frame, area, scale);
+    return detections.map((detection) => ({ ...detection, overview: true }));
+  }
+
+  // 縮小画像の結果より、等倍のタイルで見つかった位置の正確な結果を残す
+  _deduplicate(detections) {
+    const unique = [];
+    for (const detection of detections) {
+      const index = unique.findIndex(
+        (candidate) =>
+          candidate.format === detection.format &&
+          candidate.rawValue === detection.rawValue &&
+          boxesOverlap(candidate.box, detection.box),
+      );
+
+      if (index < 0) {
+        unique.push(detection);
+      } else if (unique[index].overview && !detection.overview) {
+        unique[index] = detection;
+      }
+    }
+    return unique.map(({ overview, ...detection }) => detection);
+  }
+}
+
+async function getNativeSupportedFormats() {
+  try {
+    return await (window.BarcodeDetector.getSupportedFormats?.() ?? []);
+  } catch (error) {
+    console.warn('BarcodeDetector の対応フォーマット取得に失敗しました', error);
+    return [];
+  }
+}
+
+// アルゴリズムごとの検出可能なフォーマット (正規化した名前)
+export async function getSupportedFormatsByType(type) {
+  if (type === 'native') {
+    if (!('BarcodeDetector' in window)) {
+      return [];
+    }
+    return normalizeFormats(await getNativeSupportedFormats()).filter((format) => format !== 'unknown');
+  }
+
+  if (type === 'zxing') {
+    return [...ZXING_FORMATS];
+  }
+
+  // 自動はどちらかのエンジンが対応していれば検出できる
+  if (type === 'auto') {
+    return normalizeFormats([
+      ...(await getSupportedFormatsByType('native')),
+      ...(await getSupportedFormatsByType('zxing')),
+    ]);
+  }
+
+  return [];
+}
+
+function selectFormats(supportedFormats, formats, label) {
+  const requested = normalizeFormats(formats);
+  if (!requested.length) {
+    return null;
+  }
+
+  const selected = supportedFormats.filter((format) => requested.includes(normalizeFormat(format)));
+  if (!selected.length) {
+    throw new Error(`選択したフォーマットは ${label} では検出できません`);
+  }
+  return selected;
+}
+
+// BarcodeDetector には getSupportedFormats() が返した表記のまま渡す
+async function selectNativeFormats(formats) {
+  const supportedFormats = await getNativeSupportedFormats();
+  return selectFormats(supportedFormats, formats, 'BarcodeDetector') ?? supportedFormats;
+}
+
+// 作成済みの native / zxing の検出器に、検出するフォーマットと前処理の設定を反映する (ZXing のワーカーは起動し直さない)。
+// 選択したフォーマットを 1 つも検出できない場合は例外にする
+export async function configureDetector(type, detector, { formats = null, preprocess = false } = {}) {
+  if (type === 'native') {
+    const requestedFormats = await selectNativeFormats(formats);
+    try {
+      detector.configure(requestedFormats);
+    } catch (error) {
+      throw new Error(`BarcodeDetector の初期化に失敗しました: ${error?.message || error}`);
+    }
+    return;
+  }
+
+  if (type === 'zxing') {
+    detector.configure({ formats: selectFormats(ZXING_FORMATS, formats, 'ZXing'), preprocess });
+    return;
+  }
+
+  throw new Error(`未知の検出アルゴリズムです: ${type}`);
+}
+
+// 自動の検出器を作る。createEngine('native' | 'zxing') が失敗したエンジン
+// (選択したフォーマットに対応していない・ZXing を読み込めないなど) は使わず、もう一方だけで検出する
+export async function createCombinedDetector(createEngine, options = {}) {
+  const engines = {};
+  const errors = [];
+  for (const engine of ['native', 'zxing']) {
+    try {
+      engines[engine] = await createEngine(engine);
+    } catch (error) {
+      engines[engine] = null;
+      errors.push(error);
+    }
+  }
+
+  if (!engines.native && !engines.zxing) {
+    const reasons = errors.map((error) => error?.message || error).join(' / ');
+    throw new Error(`BarcodeDetector と ZXing のどちらも利用できません: ${reasons}`);
+  }
+  if (errors.length) {
+    console.warn('自動: 一方のエンジンが利用できないため、もう一方だけで検出します', errors[0]);
+  }
+  return new CombinedBarcodeDetector({ ...engines, ...options });
+}
+
+// preprocess は ZXing で通常のデコードに失敗したときに前処理を試すかどうか。
+// useWorker が false なら ZXing をワーカーで動かさず、メインスレッドで検出する
+export async function createDetectorByType(type, { formats = null, preprocess = false, useWorker = true } = {}) {
+  if (type === 'native') {
+    if (!('BarcodeDetector' in window)) {
+      throw new Error('BarcodeDetector API は利用できません');
+    }
+
+    const requestedFormats = await selectNativeFormats(formats);
+
+    try {
+      return new NativeBarcodeDetector(requestedFormats);
+    } catch (error) {
+      throw new Error(`BarcodeDetector の初期化に失敗しました: ${error?.message || error}`);
+    }
+  }
+
+  if (type === 'auto') {
+    return createCombinedDetector((engine) => createDetectorByType(engine, { formats, preprocess, useWorker }));
+  }
+
+  if (type === 'zxing') {
+    const zxingFormats = selectFormats(ZXING_FORMATS, formats, 'ZXing');
+
+    if (useWorker && WorkerZXingDetector.isSupported()) {
+      try {
+        return await WorkerZXingDetector.create({ formats: zxingFormats, preprocess });
+      } catch (error) {
+        console.warn('ZXing ワーカーが利用できないため、メインスレッドで検出します', error);
+      }
+    }
+
+    const zxing = await loadZXing();
+    return new ZXingBarcodeDetector(zxing, { formats: zxingFormats, preprocess });
+  }
+
+  throw new Error(`未知の検出アルゴリズムです: ${type}`);
+}
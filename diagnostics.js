@@ -0,0 +1,83 @@
+import { binarize, loadZXing, toGrayscale } from './zxing-decoder.js';
+
+const LATENCY_SAMPLE_LIMIT = 120;
+const SCAN_RATE_WINDOW_MS = 5000;
+
+export const DEBUG_VIEWS = {
+  grayscale: 'グレースケール',
+  binarized: '二値化 (ZXing)',
+};
+
+function percentile(sortedValues, ratio) {
+  if (!sortedValues.length) {
+    return null;
+  }
+  const index = Math.min(sortedValues.length - 1, Math.ceil(ratio * sortedValues.length) - 1);
+  return sortedValues[Math.max(0, index)];
+}
+
+// 検出ループの処理時間と結果の有無を記録する。処理時間は直近 LATENCY_SAMPLE_LIMIT フレーム分
+export class ScanDiagnostics {
+  constructor() {
+    this.reset();
+  }
+
+  recordFrame(latencyMs, detectionCount, now = performance.now()) {
+    this._latencies.push(latencyMs);
+    if (this._latencies.length > LATENCY_SAMPLE_LIMIT) {
+      this._latencies.shift();
+    }
+
+    this._frameTimes.push(now);
+    while (this._frameTimes.length && now - this._frameTimes[0] > SCAN_RATE_WINDOW_MS) {
+      this._frameTimes.shift();
+    }
+
+    if (detectionCount > 0) {
+      this.hits += 1;
+    } else {
+      this.misses += 1;
+    }
+  }
+
+  getSummary(now = performance.now()) {
+    const sorted = [...this._latencies].sort((a, b) => a - b);
+    const recentFrames = this._frameTimes.filter((time) => now - time <= SCAN_RATE_WINDOW_MS).length;
+    return {
+      latencyP50: percentile(sorted, 0.5),
+      latencyP95: percentile(sorted, 0.95),
+      scanRate: (recentFrames * 1000) / SCAN_RATE_WINDOW_MS,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+
+  reset() {
+    this._latencies = [];
+    this._frameTimes = [];
+    this.hits = 0;
+    this.misses = 0;
+  }
+}
+
+// ZXing に渡しているのと同じ切り出し範囲の画像を、グレースケールまたは二値化して canvas に描く
+export async function drawDebugFrame(canvas, source, rect, mode) {
+  canvas.width = rect.width;
+  canvas.height = rect.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+
+  const imageData = ctx.getImageData(0, 0, rect.width, rect.height);
+  const luminances = toGrayscale(imageData);
+  const values = mode === 'binarized' ? binarize(await loadZXing(), luminances, rect.width, rect.height) : luminances;
+
+  const { data } = imageData;
+  for (let i = 0; i < values.length; i += 1) {
+    const offset = i * 4;
+    data[offset] = values[i];
+    data[offset + 1] = values[i];
+    data[offset + 2] = values[i];
+    data[offset + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
@@ -0,0 +1,168 @@
+import { getNormalizedValues } from './check-digits.js';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  jsonl: { label: 'JSON Lines', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+  txt: { label: 'テキスト', extension: 'txt', mimeType: 'text/plain' },
+};
+
+const BOM = '\uFEFF';
+
+// RFC 4180: カンマ・ダブルクォート・改行を含むフィールドはクォートし、内部の " は "" にする
+export function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(records, columns, { bom = false } = {}) {
+  const lines = [columns.map(({ header }) => escapeCsvField(header)).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(({ value }) => escapeCsvField(value(record))).join(','));
+  }
+  return `${bom ? BOM : ''}${lines.join('\r\n')}\r\n`;
+}
+
+export function toJsonLines(records) {
+  return records.map((record) => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+}
+
+export function toPlainText(values) {
+  return values.join('\n') + (values.length ? '\n' : '');
+}
+
+function toIsoString(timestamp) {
+  return Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : '';
+}
+
+function roundCoordinate(value) {
+  return Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+}
+
+// 発注システムに渡すため、GTIN に正規化できる値は GTIN-14 も出力する
+function toGtin14(value, format) {
+  return getNormalizedValues(value, format).gtin14 ?? '';
+}
+
+function toValidityText(valid) {
+  return typeof valid === 'boolean' ? String(valid) : '';
+}
+
+const RESULT_COLUMNS = [
+  { header: 'value', value: (record) => record.rawValue },
+  { header: 'format', value: (record) => record.format },
+  { header: 'gtin14', value: (record) => toGtin14(record.rawValue, record.format) },
+  { header: 'valid', value: (record) => toValidityText(record.valid) },
+  { header: 'first_seen', value: (record) => toIsoString(record.firstSeen) },
+  { header: 'last_seen', value: (record) => toIsoString(record.lastSeen) },
+  { header: 'x', value: (record) => roundCoordinate(record.box?.x) },
+  { header: 'y', value: (record) => roundCoordinate(record.box?.y) },
+  { header: 'width', value: (record) => roundCoordinate(record.box?.width) },
+  { header: 'height', value: (record) => roundCoordinate(record.box?.height) },
+];
+
+const HISTORY_COLUMNS = [
+  { header: 'value', value: (record) => record.value },
+  { header: 'format', value: (record) => record.format },
+  { header: 'gtin14', value: (record) => toGtin14(record.value, record.format) },
+  { header: 'algorithm', value: (record) => record.algorithm },
+  { header: 'camera', value: (record) => record.cameraLabel },
+  { header: 'session', value: (record) => record.sessionName },
+  { header: 'count', value: (record) => record.count },
+  { header: 'first_seen', value: (record) => toIsoString(record.firstSeen) },
+  { header: 'last_seen', value: (record) => toIsoString(record.timestamp) },
+];
+
+const INVENTORY_COLUMNS = [
+  { header: 'code', value: (record) => record.code },
+  { header: 'name', value: (record) => record.name },
+  { header: 'expected_qty', value: (record) => record.expected },
+  { header: 'counted_qty', value: (record) => record.count },
+  { header: 'difference', value: (record) => (record.expected === null ? '' : record.count - record.expected) },
+  { header: 'status', value: (record) => record.status },
+  { header: 'last_scanned', value: (record) => toIsoString(record.lastScannedAt) },
+];
+
+export function exportResults(results, format, options = {}) {
+  if (format === 'csv') {
+    return toCsv(results, RESULT_COLUMNS, options);
+  }
+
+  if (format === 'jsonl') {
+    return toJsonLines(
+      results.map((result) => ({
+        rawValue: result.rawValue,
+        format: result.format,
+        gtin14: toGtin14(result.rawValue, result.format) || null,
+        valid: typeof result.valid === 'boolean' ? result.valid : null,
+        firstSeen: toIsoString(result.firstSeen),
+        lastSeen: toIsoString(result.lastSeen),
+        box: result.box
+          ? {
+              x: roundCoordinate(result.box.x),
+              y: roundCoordinate(result.box.y),
+              width: roundCoordinate(result.box.width),
+              height: roundCoordinate(result.box.height),
+            }
+          : null,
+        points: Array.isArray(result.points)
+          ? result.points.map((point) => ({ x: roundCoordinate(point.x), y: roundCoordinate(point.y) }))
+          : null,
+      })),
+    );
+  }
+
+  return toPlainText(results.map((result) => result.rawValue ?? ''));
+}
+
+export function exportHistory(entries, format, options = {}) {
+  if (format === 'csv') {
+    return toCsv(entries, HISTORY_COLUMNS, options);
+  }
+
+  if (format === 'jsonl') {
+    return toJsonLines(
+      entries.map((entry) => ({
+        rawValue: entry.value,
+        format: entry.format,
+        gtin14: toGtin14(entry.value, entry.format) || null,
+        algorithm: entry.algorithm,
+        camera: entry.cameraLabel,
+        session: entry.sessionName,
+        count: entry.count,
+        firstSeen: toIsoString(entry.firstSeen),
+        lastSeen: toIsoString(entry.timestamp),
+      })),
+    );
+  }
+
+  return toPlainText(entries.map((entry) => entry.value ?? ''));
+}
+
+export function exportInventory(items, format, options = {}) {
+  if (format === 'csv') {
+    return toCsv(items, INVENTORY_COLUMNS, options);
+  }
+
+  if (format === 'jsonl') {
+    return toJsonLines(
+      items.map((item) => ({
+        code: item.code,
+        name: item.name,
+        expected: item.expected,
+        counted: item.count,
+        difference: item.expected === null ? null : item.count - item.expected,
+        status: item.status,
+        lastScanned: toIsoString(item.lastScannedAt) || null,
+      })),
+    );
+  }
+
+  return toPlainText(items.map((item) => `${item.code}\t${item.count}`));
+}
+
+export function createExportFileName(prefix, format, date = new Date()) {
+  const pad = (number) => String(number).padStart(2, '0');
+  const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(pad).join('');
+  const time = [date.getHours(), date.getMinutes(), date.getSeconds()].map(pad).join('');
+  return `${prefix}-${day}-${time}.${EXPORT_FORMATS[format].extension}`;
+}
@@ -0,0 +1,124 @@
+// 読み取り時の通知 (ビープ音・振動・枠の点滅)。
+//   success    新しい値を読み取った
+//   duplicate  この画面で既に読み取った値をもう一度読み取った
+//   invalid    チェックディジットや scanOnce の validate で不正と判定した
+export const FEEDBACK_KINDS = ['success', 'duplicate', 'invalid'];
+
+export const DEFAULT_FEEDBACK_SETTINGS = { sound: true, vibration: true, flash: true };
+
+// 周波数 (Hz)・長さと開始位置 (秒)。種類ごとに音の高さと回数を変えて聞き分けられるようにする
+const TONES = {
+  success: [{ frequency: 1760, start: 0, duration: 0.09 }],
+  duplicate: [
+    { frequency: 988, start: 0, duration: 0.07 },
+    { frequency: 988, start: 0.12, duration: 0.07 },
+  ],
+  invalid: [{ frequency: 220, start: 0, duration: 0.3, type: 'square' }],
+};
+
+const VIBRATION_PATTERNS = {
+  success: [60],
+  duplicate: [30, 60, 30],
+  invalid: [200, 80, 200],
+};
+
+const FLASH_COLORS = {
+  success: '#4ade80',
+  duplicate: '#fbbf24',
+  invalid: '#f87171',
+};
+
+const VOLUME = 0.2;
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+function getAudioContextClass() {
+  return window.AudioContext ?? window.webkitAudioContext ?? null;
+}
+
+export class ScanFeedback {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_FEEDBACK_SETTINGS, ...settings };
+    this._audioContext = null;
+    this._reducedMotion = window.matchMedia?.(REDUCED_MOTION_QUERY) ?? null;
+  }
+
+  static get supports() {
+    return {
+      sound: Boolean(getAudioContextClass()),
+      vibration: typeof navigator.vibrate === 'function',
+      flash: true,
+    };
+  }
+
+  // 動きを減らす設定の環境では点滅しない
+  get reducedMotion() {
+    return Boolean(this._reducedMotion?.matches);
+  }
+
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+  }
+
+  // ブラウザは操作をきっかけにしないと音を鳴らせないため、開始ボタンなどのクリック時に呼ぶ
+  unlock() {
+    if (!this.settings.sound) {
+      return;
+    }
+    const context = this._getAudioContext();
+    if (context?.state === 'suspended') {
+      context.resume().catch(() => {});
+    }
+  }
+
+  // result を渡すと、scanner の該当する枠を点滅させる
+  notify(kind, { scanner = null, result = null } = {}) {
+    if (!FEEDBACK_KINDS.includes(kind)) {
+      throw new RangeError(`不明な通知の種類です: ${kind}`);
+    }
+
+    if (this.settings.sound) {
+      this._beep(kind);
+    }
+    if (this.settings.vibration && typeof navigator.vibrate === 'function') {
+      navigator.vibrate(VIBRATION_PATTERNS[kind]);
+    }
+    if (this.settings.flash && !this.reducedMotion && scanner && result?.id !== undefined) {
+      scanner.flashResult(result.id, { color: FLASH_COLORS[kind] });
+    }
+  }
+
+  dispose() {
+    this._audioContext?.close().catch(() => {});
+    this._audioContext = null;
+  }
+
+  _getAudioContext() {
+    if (!this._audioContext) {
+      const AudioContextClass = getAudioContextClass();
+      this._audioContext = AudioContextClass ? new AudioContextClass() : null;
+    }
+    return this._audioContext;
+  }
+
+  _beep(kind) {
+    const context = this._getAudioContext();
+    if (!context || context.state !== 'running') {
+      return;
+    }
+
+    const now = context.currentTime;
+    TONES[kind].forEach(({ frequency, start, duration, type = 'sine' }) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = type;
+      oscillator.frequency.value = frequency;
+      // 急に切ると「プツッ」という音が出るため、短く立ち上げて減衰させる
+      gain.gain.setValueAtTime(0, now + start);
+      gain.gain.linearRampToValueAtTime(VOLUME, now + start + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.0001, now + start + duration);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(now + start);
+      oscillator.stop(now + start + duration + 0.02);
+    });
+  }
+}
@@ -0,0 +1,256 @@
+const BATCH_LIMIT = 50;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+export const TEMPLATE_PLACEHOLDERS = ['value', 'format', 'timestamp', 'device'];
+
+export const DEFAULT_BODY_TEMPLATE = JSON.stringify(
+  { value: '{{value}}', format: '{{format}}', timestamp: '{{timestamp}}', device: '{{device}}' },
+  null,
+  2,
+);
+
+export const DEFAULT_FORWARDING_SETTINGS = {
+  enabled: false,
+  url: '',
+  headers: {},
+  template: DEFAULT_BODY_TEMPLATE,
+  batchIntervalMs: 0,
+  device: '',
+};
+
+// 1 行に 1 つの「名前: 値」をヘッダーのオブジェクトにする
+export function parseHeaders(text) {
+  const headers = {};
+  String(text ?? '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line, index) => {
+      const separator = line.indexOf(':');
+      const name = separator > 0 ? line.slice(0, separator).trim() : '';
+      if (!name) {
+        throw new Error(`ヘッダーの ${index + 1} 行目は「名前: 値」の形式で入力してください`);
+      }
+      headers[name] = line.slice(separator + 1).trim();
+    });
+  return headers;
+}
+
+export function formatHeaders(headers) {
+  return Object.entries(headers ?? {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+}
+
+// JSON として解釈したテンプレートの文字列に含まれる {{value}} などを置き換える。
+// 置き換えは JSON の解釈後に行うため、値に引用符や改行が含まれていても壊れない
+function fillTemplate(node, values) {
+  if (typeof node === 'string') {
+    return node.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+  }
+  if (Array.isArray(node)) {
+    return node.map((item) => fillTemplate(item, values));
+  }
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fillTemplate(value, values)]));
+  }
+  return node;
+}
+
+export function parseTemplate(template) {
+  try {
+    return JSON.parse(template);
+  } catch (error) {
+    throw new Error(`本文のテンプレートが JSON として正しくありません: ${error.message}`);
+  }
+}
+
+export function validateForwardingSettings(settings) {
+  let url;
+  try {
+    url = new URL(settings.url);
+  } catch {
+    throw new Error('送信先の URL が正しくありません');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('送信先の URL は http または https で指定してください');
+  }
+  parseTemplate(settings.template);
+  if (!(settings.batchIntervalMs >= 0)) {
+    throw new Error('まとめて送る間隔は 0 以上にしてください');
+  }
+}
+
+function getRetryDelay(attempts) {
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempts);
+  // 複数端末が同時に再送しないように揺らぎを入れる
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// 確定したスキャンを HTTP で送信する。送信前の値は store (OutboxStore) に保存し、
+// 失敗やオフライン時は指数バックオフで再送する。
+//
+// batchIntervalMs が 0 なら 1 件ずつテンプレートどおりの本文で、
+// 0 より大きければその間隔で溜まった分をテンプレートの配列にして送る。
+//
+// イベント:
+//   statuschange  未送信件数などの変化。detail: { pending, sending, lastError }
+export class ScanForwarder extends EventTarget {
+  constructor({ store, settings = {}, fetchImpl = (...args) => window.fetch(...args) } = {}) {
+    super();
+    this.store = store;
+    this.fetchImpl = fetchImpl;
+    this.settings = { ...DEFAULT_FORWARDING_SETTINGS, ...settings };
+    this.pending = 0;
+    this.sending = false;
+    this.lastError = null;
+    this._timer = null;
+    this._timerDueAt = 0;
+    this._handleOnline = () => this.flush();
+    window.addEventListener('online', this._handleOnline);
+  }
+
+  configure(settings) {
+    const next = { ...this.settings, ...settings };
+    if (next.enabled) {
+      validateForwardingSettings(next);
+    }
+    this.settings = next;
+    this._scheduleFlush(0);
+  }
+
+  // キューに残っている分の件数を読み込み、送信を再開する
+  async init() {
+    await this._refreshPending();
+    this._scheduleFlush(0);
+  }
+
+  async enqueue(detection, timestamp = Date.now()) {
+    if (!this.settings.enabled) {
+      return;
+    }
+
+    const payload = fillTemplate(parseTemplate(this.settings.template), {
+      value: detection.rawValue ?? '',
+      format: detection.format ?? '',
+      timestamp: new Date(timestamp).toISOString(),
+      device: this.settings.device,
+    });
+    await this.store.add(payload, timestamp);
+    await this._refreshPending();
+    this._scheduleFlush(this.settings.batchIntervalMs);
+  }
+
+  // バックオフ中のものも含めて今すぐ送る
+  async retryNow() {
+    await this.store.resetBackoff();
+    return this.flush();
+  }
+
+  async clear() {
+    await this.store.clear();
+    this.lastError = null;
+    await this._refreshPending();
+  }
+
+  async flush() {
+    if (this.sending || !this.settings.enabled) {
+      return;
+    }
+    if (navigator.onLine === false) {
+      this.lastError = 'オフラインです。接続が戻ったら送信します';
+      this._emitStatus();
+      return;
+    }
+
+    this._clearTimer();
+    this._setSending(true);
+    try {
+      const batching = this.settings.batchIntervalMs > 0;
+      let entries;
+      while ((entries = await this.store.listDue(Date.now(), batching ? BATCH_LIMIT : 1)).length) {
+        try {
+          await this._send(batching ? entries.map((entry) => entry.payload) : entries[0].payload);
+          await this.store.remove(entries.map((entry) => entry.id));
+          this.lastError = null;
+        } catch (error) {
+          const attempts = Math.max(...entries.map((entry) => entry.attempts));
+          await this.store.markFailed(entries, Date.now() + getRetryDelay(attempts), error);
+          this.lastError = error.message || String(error);
+          break;
+        } finally {
+          await this._refreshPending();
+        }
+      }
+    } catch (error) {
+      console.warn('送信キューの処理に失敗しました', error);
+      this.lastError = error.message || String(error);
+    } finally {
+      this._setSending(false);
+    }
+
+    const nextAttemptAt = await this.store.getNextAttemptAt().catch(() => null);
+    if (nextAttemptAt !== null) {
+      this._scheduleFlush(Math.max(0, nextAttemptAt - Date.now()));
+    }
+  }
+
+  dispose() {
+    this._clearTimer();
+    window.removeEventListener('online', this._handleOnline);
+  }
+
+  async _send(body) {
+    const response = await this.fetchImpl(this.settings.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.settings.headers },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      throw new Error(`送信先が HTTP ${response.status} を返しました`);
+    }
+  }
+
+  // 既に予約済みなら、より早い方を残す
+  _scheduleFlush(delay) {
+    if (!this.settings.enabled) {
+      return;
+    }
+    const dueAt = Date.now() + delay;
+    if (this._timer && this._timerDueAt <= dueAt) {
+      return;
+    }
+    this._clearTimer();
+    this._timerDueAt = dueAt;
+    this._timer = window.setTimeout(() => {
+      this._timer = null;
+      this.flush();
+    }, delay);
+  }
+
+  _clearTimer() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  async _refreshPending() {
+    this.pending = await this.store.count();
+    this._emitStatus();
+  }
+
+  _setSending(sending) {
+    this.sending = sending;
+    this._emitStatus();
+  }
+
+  _emitStatus() {
+    this.dispatchEvent(
+      new CustomEvent('statuschange', {
+        detail: { pending: this.pending, sending: this.sending, lastError: this.lastError },
+      }),
+    );
+  }
+}
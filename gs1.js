@@ -0,0 +1,355 @@
+const GROUP_SEPARATOR = '\u001d';
+
+const GS1_SYMBOLOGY_IDENTIFIERS = {
+  ']C1': 'GS1-128',
+  ']d2': 'GS1 DataMatrix',
+  ']Q3': 'GS1 QR Code',
+  ']e0': 'GS1 DataBar',
+  ']J1': 'GS1 DotCode',
+};
+
+// 先頭 2 桁がこれらの AI は長さが規格で固定されており、FNC1 での区切りが不要
+const PREDEFINED_LENGTH_PREFIXES = new Set([
+  '00', '01', '02', '03', '04', '11', '12', '13', '14', '15', '16', '17', '18', '19', '20', '31', '32', '33',
+  '34', '35', '36', '41',
+]);
+
+// type: 'N' は数字のみ、'X' は GS1 の英数字サブセット
+const AI_DEFINITIONS = {
+  '00': { title: 'SSCC', fixed: 18, type: 'N', checkDigit: true },
+  '01': { title: 'GTIN', fixed: 14, type: 'N', checkDigit: true },
+  '02': { title: 'CONTENT', fixed: 14, type: 'N', checkDigit: true },
+  10: { title: 'BATCH/LOT', max: 20, type: 'X' },
+  11: { title: 'PROD DATE', fixed: 6, type: 'N', date: true },
+  12: { title: 'DUE DATE', fixed: 6, type: 'N', date: true },
+  13: { title: 'PACK DATE', fixed: 6, type: 'N', date: true },
+  15: { title: 'BEST BEFORE', fixed: 6, type: 'N', date: true },
+  16: { title: 'SELL BY', fixed: 6, type: 'N', date: true },
+  17: { title: 'USE BY / EXPIRY', fixed: 6, type: 'N', date: true },
+  20: { title: 'VARIANT', fixed: 2, type: 'N' },
+  21: { title: 'SERIAL', max: 20, type: 'X' },
+  22: { title: 'CPV', max: 20, type: 'X' },
+  240: { title: 'ADDITIONAL ID', max: 30, type: 'X' },
+  241: { title: 'CUST. PART No.', max: 30, type: 'X' },
+  250: { title: 'SECONDARY SERIAL', max: 30, type: 'X' },
+  251: { title: 'REF. TO SOURCE', max: 30, type: 'X' },
+  253: { title: 'GDTI', max: 30, type: 'X', checkDigitLength: 13 },
+  254: { title: 'GLN EXTENSION', max: 20, type: 'X' },
+  255: { title: 'GCN', max: 25, type: 'N', checkDigitLength: 13 },
+  30: { title: 'VAR. COUNT', max: 8, type: 'N' },
+  37: { title: 'COUNT', max: 8, type: 'N' },
+  400: { title: 'ORDER NUMBER', max: 30, type: 'X' },
+  401: { title: 'GINC', max: 30, type: 'X' },
+  402: { title: 'GSIN', fixed: 17, type: 'N', checkDigit: true },
+  403: { title: 'ROUTE', max: 30, type: 'X' },
+  410: { title: 'SHIP TO LOC', fixed: 13, type: 'N', checkDigit: true },
+  411: { title: 'BILL TO', fixed: 13, type: 'N', checkDigit: true },
+  412: { title: 'PURCHASE FROM', fixed: 13, type: 'N', checkDigit: true },
+  413: { title: 'SHIP FOR LOC', fixed: 13, type: 'N', checkDigit: true },
+  414: { title: 'LOC No.', fixed: 13, type: 'N', checkDigit: true },
+  415: { title: 'PAY TO', fixed: 13, type: 'N', checkDigit: true },
+  416: { title: 'PROD/SERV LOC', fixed: 13, type: 'N', checkDigit: true },
+  417: { title: 'PARTY', fixed: 13, type: 'N', checkDigit: true },
+  420: { title: 'SHIP TO POST', max: 20, type: 'X' },
+  421: { title: 'SHIP TO POST', max: 12, type: 'X' },
+  422: { title: 'ORIGIN', fixed: 3, type: 'N' },
+  7003: { title: 'EXPIRY TIME', fixed: 10, type: 'N' },
+  8005: { title: 'PRICE PER UNIT', fixed: 6, type: 'N' },
+  8020: { title: 'REF No.', max: 25, type: 'X' },
+};
+
+// 31nn〜36nn: 4 桁目が小数点以下の桁数を表す 6 桁の数値
+const MEASURE_DEFINITIONS = {
+  310: { title: 'NET WEIGHT', unit: 'kg' },
+  311: { title: 'LENGTH', unit: 'm' },
+  312: { title: 'WIDTH', unit: 'm' },
+  313: { title: 'HEIGHT', unit: 'm' },
+  314: { title: 'AREA', unit: 'm²' },
+  315: { title: 'NET VOLUME', unit: 'l' },
+  316: { title: 'NET VOLUME', unit: 'm³' },
+  320: { title: 'NET WEIGHT', unit: 'lb' },
+  321: { title: 'LENGTH', unit: 'in' },
+  322: { title: 'LENGTH', unit: 'ft' },
+  323: { title: 'LENGTH', unit: 'yd' },
+  330: { title: 'GROSS WEIGHT', unit: 'kg' },
+  331: { title: 'LENGTH', unit: 'm' },
+  332: { title: 'WIDTH', unit: 'm' },
+  333: { title: 'HEIGHT', unit: 'm' },
+  334: { title: 'AREA', unit: 'm²' },
+  335: { title: 'VOLUME', unit: 'l' },
+  336: { title: 'VOLUME', unit: 'm³' },
+  340: { title: 'GROSS WEIGHT', unit: 'lb' },
+  350: { title: 'AREA', unit: 'in²' },
+  356: { title: 'NET WEIGHT', unit: 't oz' },
+  357: { title: 'NET VOLUME', unit: 'oz' },
+  360: { title: 'NET VOLUME', unit: 'qt' },
+  361: { title: 'NET VOLUME', unit: 'gal' },
+};
+
+const GS1_FORMATS = new Set(['code_128', 'data_matrix', 'qr_code', 'rss_expanded', 'databar_expanded']);
+
+function normalizeFormat(format) {
+  return String(format ?? '').toLowerCase();
+}
+
+function getDefinition(ai) {
+  if (ai.length === 4) {
+    const measure = MEASURE_DEFINITIONS[ai.slice(0, 3)];
+    if (measure) {
+      return { ...measure, fixed: 6, type: 'N', decimals: Number(ai[3]) };
+    }
+    if (ai.startsWith('392') || ai.startsWith('393')) {
+      return {
+        title: ai.startsWith('392') ? 'PRICE' : 'PRICE (ISO)',
+        max: ai.startsWith('392') ? 15 : 18,
+        type: 'N',
+        decimals: Number(ai[3]),
+        currency: ai.startsWith('393'),
+      };
+    }
+  }
+
+  if (ai.length === 2 && /^9[0-9]$/.test(ai)) {
+    return { title: ai === '90' ? 'INTERNAL' : 'COMPANY INTERNAL', max: 90, type: 'X' };
+  }
+
+  return AI_DEFINITIONS[ai] ?? null;
+}
+
+function findAI(data, position) {
+  for (const length of [2, 3, 4]) {
+    const ai = data.slice(position, position + length);
+    if (ai.length < length || !/^\d+$/.test(ai)) {
+      return null;
+    }
+    const definition = getDefinition(ai);
+    if (definition) {
+      return { ai, definition };
+    }
+  }
+  return null;
+}
+
+export function isValidGS1CheckDigit(digits) {
+  if (!/^\d{2,}$/.test(digits)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 3; i >= 0; i -= 1, weight = 4 - weight) {
+    sum += Number(digits[i]) * weight;
+  }
+
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+// GS1 の年の解釈ルール: 現在年との差が 51 年以上なら前世紀、-50 年以下なら次世紀とみなす
+function resolveGS1Year(twoDigitYear, now) {
+  const currentYear = now.getFullYear();
+  const century = Math.floor(currentYear / 100) * 100;
+  const diff = twoDigitYear - (currentYear % 100);
+
+  if (diff >= 51) {
+    return century - 100 + twoDigitYear;
+  }
+  if (diff <= -50) {
+    return century + 100 + twoDigitYear;
+  }
+  return century + twoDigitYear;
+}
+
+function parseGS1Date(value, now) {
+  const year = resolveGS1Year(Number(value.slice(0, 2)), now);
+  const month = Number(value.slice(2, 4));
+  const day = Number(value.slice(4, 6));
+
+  if (month < 1 || month > 12) {
+    return null;
+  }
+
+  const lastDay = new Date(year, month, 0).getDate();
+  if (day > lastDay) {
+    return null;
+  }
+
+  // 日が 00 の場合はその月の末日を表す
+  const resolvedDay = day === 0 ? lastDay : day;
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(resolvedDay)}`;
+}
+
+function formatDecimal(digits, decimals) {
+  const padded = digits.padStart(decimals + 1, '0');
+  const integer = padded.slice(0, padded.length - decimals).replace(/^0+(?=\d)/, '');
+  return decimals > 0 ? `${integer}.${padded.slice(padded.length - decimals)}` : integer;
+}
+
+function validateElement(definition, value, now) {
+  if (!value) {
+    return { error: '値が空です' };
+  }
+
+  if (definition.fixed && value.length !== definition.fixed) {
+    return { error: `${definition.fixed} 桁である必要があります` };
+  }
+
+  if (definition.max && value.length > definition.max) {
+    return { error: `${definition.max} 文字以内である必要があります` };
+  }
+
+  if (definition.type === 'N' && !/^\d+$/.test(value)) {
+    return { error: '数字以外の文字が含まれています' };
+  }
+
+  if (definition.type === 'X' && !/^[\x21-\x22\x25-\x2f\x30-\x3f\x41-\x5a\x5f\x61-\x7a]+$/.test(value)) {
+    return { error: 'GS1 で使用できない文字が含まれています' };
+  }
+
+  if (definition.checkDigit && !isValidGS1CheckDigit(value)) {
+    return { error: 'チェックディジットが不正です' };
+  }
+
+  if (definition.checkDigitLength && !isValidGS1CheckDigit(value.slice(0, definition.checkDigitLength))) {
+    return { error: 'チェックディジットが不正です' };
+  }
+
+  if (definition.date) {
+    const date = parseGS1Date(value, now);
+    return date ? { display: date } : { error: '日付が不正です' };
+  }
+
+  if (Number.isInteger(definition.decimals)) {
+    if (definition.currency) {
+      const amount = formatDecimal(value.slice(3), definition.decimals);
+      return { display: `${amount} (ISO 4217: ${value.slice(0, 3)})` };
+    }
+    const amount = formatDecimal(value, definition.decimals);
+    return { display: definition.unit ? `${amount} ${definition.unit}` : amount };
+  }
+
+  return {};
+}
+
+function createElement(ai, definition, value, now) {
+  const { display, error } = validateElement(definition, value, now);
+  return {
+    ai,
+    title: definition.title,
+    value,
+    display: display ?? value,
+    valid: !error,
+    error: error ?? null,
+  };
+}
+
+function parseElementString(data, now) {
+  const elements = [];
+  let position = 0;
+
+  while (position < data.length) {
+    if (data[position] === GROUP_SEPARATOR) {
+      position += 1;
+      continue;
+    }
+
+    const found = findAI(data, position);
+    if (!found) {
+      return { elements, error: `不明な AI です (位置 ${position})` };
+    }
+
+    const { ai, definition } = found;
+    const start = position + ai.length;
+    const predefined = PREDEFINED_LENGTH_PREFIXES.has(ai.slice(0, 2));
+    let end;
+
+    if (definition.fixed && predefined) {
+      end = start + definition.fixed;
+    } else {
+      const separator = data.indexOf(GROUP_SEPARATOR, start);
+      end = separator === -1 ? data.length : separator;
+    }
+
+    elements.push(createElement(ai, definition, data.slice(start, Math.min(end, data.length)), now));
+    position = end;
+  }
+
+  return { elements, error: null };
+}
+
+function parseBracketedString(data, now) {
+  const pattern = /\((\d{2,4})\)([^(]*)/g;
+  const elements = [];
+  let consumed = 0;
+  let match;
+
+  while ((match = pattern.exec(data)) !== null) {
+    if (match.index !== consumed) {
+      return { elements, error: `不明な文字列があります (位置 ${consumed})` };
+    }
+
+    const [, ai, value] = match;
+    const definition = getDefinition(ai);
+    if (!definition) {
+      return { elements, error: `不明な AI です (${ai})` };
+    }
+
+    elements.push(createElement(ai, definition, value.trim(), now));
+    consumed = pattern.lastIndex;
+  }
+
+  if (consumed !== data.length) {
+    return { elements, error: `不明な文字列があります (位置 ${consumed})` };
+  }
+
+  return { elements, error: null };
+}
+
+function splitSymbologyIdentifier(rawValue) {
+  const match = /^\][A-Za-z][0-9A-Za-z]/.exec(rawValue);
+  if (!match) {
+    return { identifier: null, data: rawValue };
+  }
+  return { identifier: match[0], data: rawValue.slice(match[0].length) };
+}
+
+// GS1 エレメントストリングを AI ごとに分解する。GS1 と判断できない値には null を返す
+export function parseGS1(rawValue, format, { now = new Date() } = {}) {
+  if (typeof rawValue !== 'string' || rawValue.length < 4) {
+    return null;
+  }
+
+  const { identifier, data } = splitSymbologyIdentifier(rawValue);
+  if (identifier && !GS1_SYMBOLOGY_IDENTIFIERS[identifier]) {
+    return null;
+  }
+
+  const explicit = Boolean(identifier) || data.startsWith(GROUP_SEPARATOR);
+  const bracketed = /^\(\d{2,4}\)/.test(data);
+  const { elements, error } = bracketed ? parseBracketedString(data, now) : parseElementString(data, now);
+
+  if (!explicit && !bracketed) {
+    // 識別子も FNC1 もない場合は、GS1 対応シンボルで全体が解釈でき、
+    // 先頭が SSCC/GTIN として妥当なときだけ GS1 とみなす
+    const [first] = elements;
+    const plausible =
+      GS1_FORMATS.has(normalizeFormat(format)) &&
+      !error &&
+      elements.length > 0 &&
+      (first.ai === '00' || first.ai === '01') &&
+      first.valid;
+    if (!plausible) {
+      return null;
+    }
+  }
+
+  if (elements.length === 0) {
+    return null;
+  }
+
+  return {
+    symbology: identifier ? GS1_SYMBOLOGY_IDENTIFIERS[identifier] : null,
+    elements,
+    valid: !error && elements.every((element) => element.valid),
+    error,
+  };
+}
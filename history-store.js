@@ -0,0 +1,286 @@
+const DB_NAME = 'barcode-scanner';
+const DB_VERSION = 2;
+const SCAN_STORE = 'scans';
+const SESSION_STORE = 'sessions';
+const OUTBOX_STORE = 'outbox';
+
+// IndexedDB のキーに null は使えないため、セッション未指定は 0 で表す
+export const NO_SESSION_ID = 0;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('トランザクションが中断されました'));
+  });
+}
+
+// onClose は新しい版のページが DB を更新するために、この接続を閉じたときに呼ばれる
+function openDatabase(onClose) {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB は利用できません'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(SCAN_STORE)) {
+      const scans = db.createObjectStore(SCAN_STORE, { keyPath: 'id', autoIncrement: true });
+      scans.createIndex('timestamp', 'timestamp');
+      scans.createIndex('sessionId', 'sessionId');
+      scans.createIndex('lookup', ['sessionId', 'value', 'format']);
+    }
+    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+      db.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+    }
+    if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+      const outbox = db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+      outbox.createIndex('nextAttemptAt', 'nextAttemptAt');
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    let blocked = false;
+    request.onsuccess = () => {
+      const db = request.result;
+      // 古い接続が閉じられて遅れて開けた場合は、既に失敗として扱っているため閉じる
+      if (blocked) {
+        db.close();
+        return;
+      }
+      // 別のタブで新しい版が開かれたら接続を閉じ、更新を妨げないようにする
+      db.onversionchange = () => {
+        db.close();
+        onClose?.();
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    // 古い版のページが開いたままだと更新が終わらないため、待たずに失敗させる
+    request.onblocked = () => {
+      blocked = true;
+      reject(new Error('他のタブで古い版のページが開いているため、データベースを更新できません'));
+    };
+  });
+}
+
+// 同じセッション・値・フォーマットの記録を 1 行にまとめる (一覧表示用)。
+// count は期間内の読み取り回数、firstSeen / timestamp は最初と最後の読み取り時刻、ids はまとめた記録の ID
+export function groupScans(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = `${entry.sessionId}\u0000${entry.format}\u0000${entry.value}`;
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, { ...entry, count: 1, firstSeen: entry.timestamp, ids: [entry.id] });
+      continue;
+    }
+
+    group.ids.push(entry.id);
+    group.count += 1;
+    group.firstSeen = Math.min(group.firstSeen, entry.timestamp);
+    if (entry.timestamp > group.timestamp) {
+      Object.assign(group, {
+        id: entry.id,
+        algorithm: entry.algorithm,
+        cameraLabel: entry.cameraLabel,
+        timestamp: entry.timestamp,
+      });
+    }
+  }
+  return Array.from(groups.values()).sort((a, b) => b.timestamp - a.timestamp);
+}
+
+export class ScanHistoryStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  _db() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(() => {
+        this.dbPromise = null;
+      }).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // 読み取りごとに 1 件記録する。同じ値の読み取り回数は groupScans でまとめて数える
+  async recordScan({ value, format, algorithm, cameraLabel, timestamp = Date.now(), sessionId = NO_SESSION_ID }) {
+    const db = await this._db();
+    const transaction = db.transaction(SCAN_STORE, 'readwrite');
+    const entry = { value, format, algorithm, cameraLabel, timestamp, sessionId };
+    entry.id = await requestToPromise(transaction.objectStore(SCAN_STORE).add(entry));
+    await transactionDone(transaction);
+    return entry;
+  }
+
+  async listScans({ query = '', from = null, to = null, sessionId = null, limit = Infinity } = {}) {
+    const db = await this._db();
+    const transaction = db.transaction(SCAN_STORE, 'readonly');
+    const index = transaction.objectStore(SCAN_STORE).index('timestamp');
+
+    let range = null;
+    if (from !== null && to !== null) {
+      range = IDBKeyRange.bound(from, to);
+    } else if (from !== null) {
+      range = IDBKeyRange.lowerBound(from);
+    } else if (to !== null) {
+      range = IDBKeyRange.upperBound(to);
+    }
+
+    const entries = await requestToPromise(index.getAll(range));
+    const needle = query.trim().toLowerCase();
+
+    return entries
+      .filter((entry) => sessionId === null || entry.sessionId === sessionId)
+      .filter(
+        (entry) =>
+          !needle ||
+          [entry.value, entry.format, entry.algorithm, entry.cameraLabel].some((field) =>
+            String(field ?? '')
+              .toLowerCase()
+              .includes(needle),
+          ),
+      )
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
+  }
+
+  async deleteScans(ids) {
+    const db = await this._db();
+    const transaction = db.transaction(SCAN_STORE, 'readwrite');
+    const store = transaction.objectStore(SCAN_STORE);
+    ids.forEach((id) => store.delete(id));
+    await transactionDone(transaction);
+  }
+
+  async createSession(name) {
+    const db = await this._db();
+    const transaction = db.transaction(SESSION_STORE, 'readwrite');
+    const session = { name, createdAt: Date.now() };
+    session.id = await requestToPromise(transaction.objectStore(SESSION_STORE).add(session));
+    await transactionDone(transaction);
+    return session;
+  }
+
+  async listSessions() {
+    const db = await this._db();
+    const transaction = db.transaction(SESSION_STORE, 'readonly');
+    const sessions = await requestToPromise(transaction.objectStore(SESSION_STORE).getAll());
+    return sessions.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // セッションを消しても記録は残し、セッション未指定に戻す
+  async deleteSession(id) {
+    const db = await this._db();
+    const transaction = db.transaction([SCAN_STORE, SESSION_STORE], 'readwrite');
+    const scans = transaction.objectStore(SCAN_STORE);
+    const entries = await requestToPromise(scans.index('sessionId').getAll(id));
+    for (const entry of entries) {
+      scans.put({ ...entry, sessionId: NO_SESSION_ID });
+    }
+    transaction.objectStore(SESSION_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+}
+
+// 外部への送信待ちのキュー。ページを閉じても残り、次に開いたときに再送する
+export class OutboxStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  _db() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(() => {
+        this.dbPromise = null;
+      }).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async add(payload, now = Date.now()) {
+    const db = await this._db();
+    const transaction = db.transaction(OUTBOX_STORE, 'readwrite');
+    const entry = { payload, createdAt: now, attempts: 0, nextAttemptAt: now, lastError: null };
+    entry.id = await requestToPromise(transaction.objectStore(OUTBOX_STORE).add(entry));
+    await transactionDone(transaction);
+    return entry;
+  }
+
+  // 再送時刻を過ぎたものを古い順に返す
+  async listDue(now = Date.now(), limit = Infinity) {
+    const db = await this._db();
+    const transaction = db.transaction(OUTBOX_STORE, 'readonly');
+    const index = transaction.objectStore(OUTBOX_STORE).index('nextAttemptAt');
+    const entries = await requestToPromise(index.getAll(IDBKeyRange.upperBound(now)));
+    return entries.sort((a, b) => a.id - b.id).slice(0, limit);
+  }
+
+  // 次に再送できる最も早い時刻。キューが空なら null
+  async getNextAttemptAt() {
+    const db = await this._db();
+    const transaction = db.transaction(OUTBOX_STORE, 'readonly');
+    const cursor = await requestToPromise(transaction.objectStore(OUTBOX_STORE).index('nextAttemptAt').openCursor());
+    return cursor?.value.nextAttemptAt ?? null;
+  }
+
+  async count() {
+    const db = await this._db();
+    const transaction = db.transaction(OUTBOX_STORE, 'readonly');
+    return requestToPromise(transaction.objectStore(OUTBOX_STORE).count());
+  }
+
+  async remove(ids) {
+    const db = await this._db();
+    const transaction = db.transaction(OUTBOX_STORE, 'readwrite');
+    const store = transaction.objectStore(OUTBOX_STORE);
+    for (const id of ids) {
+      store.delete(id);
+    }
+    await transactionDone(transaction);
+  }
+
+  async markFailed(entries, nextAttemptAt, error) {
+    const db = await this._db();
+    const transaction = db.transaction(OUTBOX_STORE, 'readwrite');
+    const store = transaction.objectStore(OUTBOX_STORE);
+    for (const entry of entries) {
+      store.put({ ...entry, attempts: entry.attempts + 1, nextAttemptAt, lastError: String(error?.message || error) });
+    }
+    await transactionDone(transaction);
+  }
+
+  // 待ち時間を無視してすぐに再送できるようにする
+  async resetBackoff(now = Date.now()) {
+    const db = await this._db();
+    const transaction = db.transaction(OUTBOX_STORE, 'readwrite');
+    const store = transaction.objectStore(OUTBOX_STORE);
+    const entries = await requestToPromise(store.getAll());
+    for (const entry of entries) {
+      store.put({ ...entry, nextAttemptAt: now });
+    }
+    await transactionDone(transaction);
+  }
+
+  async clear() {
+    const db = await this._db();
+    const transaction = db.transaction(OUTBOX_STORE, 'readwrite');
+    transaction.objectStore(OUTBOX_STORE).clear();
+    await transactionDone(transaction);
+  }
+}
@@ -0,0 +1,250 @@
+import { getNormalizedValues } from './check-digits.js';
+
+const DEFAULT_COOLDOWN_MS = 2000;
+const UNDO_LIMIT = 100;
+
+export const INVENTORY_STATUS_LABELS = {
+  matched: '一致',
+  missing: '不足',
+  over: '超過',
+  unexpected: '予定外',
+};
+
+// 予定表のコードと読み取った値を突き合わせるため、GTIN になり得る数字は 14 桁に揃える
+function toItemKey(code, format = null) {
+  const text = String(code ?? '').trim();
+  if (format) {
+    const gtin14 = getNormalizedValues(text, format).gtin14;
+    if (gtin14) {
+      return gtin14;
+    }
+  }
+  return /^(\d{8}|\d{12,14})$/.test(text) ? text.padStart(14, '0') : text;
+}
+
+// RFC 4180 の CSV を行の配列に分解する
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// code,name,expected_qty の CSV を読み込む。見出し行は省略できる
+export function parseManifestCsv(text) {
+  const rows = parseCsv(String(text ?? '').replace(/^\uFEFF/, ''));
+  if (rows.length && !/^\d+$/.test(rows[0][2]?.trim() ?? '')) {
+    rows.shift();
+  }
+
+  const items = [];
+  rows.forEach((cells, index) => {
+    const [code = '', name = '', expected = ''] = cells.map((cell) => cell.trim());
+    if (!code) {
+      return;
+    }
+    const quantity = Number(expected);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new Error(`予定表の ${index + 1} 件目の予定数が正しくありません: ${expected}`);
+    }
+    items.push({ code, name, expected: quantity });
+  });
+  return items;
+}
+
+// 棚卸しの数量管理。
+// 同じ値が cooldownMs 以上写らなかったあとに再び読めたら、新しい 1 個として数える。
+// 同じ値のラベルが同時に複数写った場合は、その枚数ぶん数える。
+export class InventoryCount {
+  constructor({ cooldownMs = DEFAULT_COOLDOWN_MS } = {}) {
+    this.cooldownMs = cooldownMs;
+    this.items = new Map();
+    this.hasManifest = false;
+    this._presence = new Map();
+    this._undoStack = [];
+  }
+
+  // 1 フレーム分の検出を反映し、数量が増えた品目を返す
+  recordDetections(detections, now = Date.now()) {
+    const visible = new Map();
+    for (const detection of detections) {
+      if (!detection.rawValue) continue;
+      const key = toItemKey(detection.rawValue, detection.format);
+      const entry = visible.get(key) ?? { code: detection.rawValue, count: 0 };
+      entry.count += 1;
+      visible.set(key, entry);
+    }
+
+    const counted = [];
+    for (const [key, { code, count }] of visible) {
+      const presence = this._presence.get(key);
+      const isNewEpisode = !presence || now - presence.lastSeen >= this.cooldownMs;
+      const increment = isNewEpisode ? count : Math.max(0, count - presence.maxVisible);
+
+      this._presence.set(key, {
+        lastSeen: now,
+        maxVisible: isNewEpisode ? count : Math.max(presence.maxVisible, count),
+      });
+
+      if (increment > 0) {
+        const item = this._ensureItem(key, code);
+        item.count += increment;
+        item.lastScannedAt = now;
+        this._undoStack.push({ key, amount: increment });
+        counted.push(item);
+      }
+    }
+
+    if (this._undoStack.length > UNDO_LIMIT) {
+      this._undoStack.splice(0, this._undoStack.length - UNDO_LIMIT);
+    }
+
+    return counted;
+  }
+
+  adjust(key, delta) {
+    const item = this.items.get(key);
+    if (!item) {
+      return null;
+    }
+    item.count = Math.max(0, item.count + delta);
+    this._removeIfEmpty(item);
+    return item;
+  }
+
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  // 直前のスキャンを取り消す。手動の増減は対象外
+  undo() {
+    const last = this._undoStack.pop();
+    if (!last) {
+      return null;
+    }
+    const item = this.items.get(last.key);
+    if (!item) {
+      return null;
+    }
+    item.count = Math.max(0, item.count - last.amount);
+    this._removeIfEmpty(item);
+    return item;
+  }
+
+  loadManifest(entries) {
+    for (const item of this.items.values()) {
+      item.expected = null;
+      item.name = '';
+    }
+
+    for (const { code, name, expected } of entries) {
+      const item = this._ensureItem(toItemKey(code), code);
+      item.name = name;
+      item.expected = (item.expected ?? 0) + expected;
+    }
+
+    this.hasManifest = entries.length > 0;
+    for (const item of Array.from(this.items.values())) {
+      this._removeIfEmpty(item);
+    }
+  }
+
+  // 数量だけを 0 に戻す。予定表は残す
+  reset() {
+    for (const item of Array.from(this.items.values())) {
+      item.count = 0;
+      item.lastScannedAt = null;
+      this._removeIfEmpty(item);
+    }
+    this._presence.clear();
+    this._undoStack = [];
+  }
+
+  clearManifest() {
+    this.loadManifest([]);
+  }
+
+  getStatus(item) {
+    if (!this.hasManifest) {
+      return null;
+    }
+    if (item.expected === null) {
+      return 'unexpected';
+    }
+    if (item.count === item.expected) {
+      return 'matched';
+    }
+    return item.count < item.expected ? 'missing' : 'over';
+  }
+
+  getItems() {
+    return Array.from(this.items.values())
+      .map((item) => ({ ...item, status: this.getStatus(item) }))
+      .sort((a, b) => (b.lastScannedAt ?? 0) - (a.lastScannedAt ?? 0) || a.code.localeCompare(b.code));
+  }
+
+  getSummary() {
+    const summary = { matched: 0, missing: 0, over: 0, unexpected: 0, expectedTotal: 0, countedTotal: 0 };
+    for (const item of this.items.values()) {
+      const status = this.getStatus(item);
+      if (status) {
+        summary[status] += 1;
+      }
+      summary.expectedTotal += item.expected ?? 0;
+      summary.countedTotal += item.count;
+    }
+    return summary;
+  }
+
+  _ensureItem(key, code) {
+    let item = this.items.get(key);
+    if (!item) {
+      item = { key, code, name: '', expected: null, count: 0, lastScannedAt: null };
+      this.items.set(key, item);
+    }
+    return item;
+  }
+
+  // 予定表にない品目は、数量が 0 になったら一覧から外す
+  _removeIfEmpty(item) {
+    if (item.count === 0 && item.expected === null) {
+      this.items.delete(item.key);
+    }
+  }
+}
@@ -0,0 +1,418 @@
+export const PAYLOAD_TYPE_LABELS = {
+  url: 'URL',
+  wifi: 'Wi-Fi',
+  contact: '連絡先',
+  email: 'メール',
+  phone: '電話番号',
+  sms: 'SMS',
+  geo: '位置情報',
+  epc: 'SEPA 送金',
+  text: 'テキスト',
+};
+
+const WIFI_SECURITY_LABELS = {
+  WEP: 'WEP',
+  WPA: 'WPA/WPA2',
+  WPA2: 'WPA2',
+  WPA3: 'WPA3',
+  SAE: 'WPA3',
+  nopass: 'なし',
+};
+
+// WIFI: や MECARD: で使われる「\」エスケープを解釈しつつ区切り文字で分割する
+function splitEscaped(text, separator) {
+  const parts = [];
+  let current = '';
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === '\\' && i + 1 < text.length) {
+      current += text[i + 1];
+      i += 1;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+function parseKeyValueList(body) {
+  const entries = [];
+  for (const part of splitEscaped(body, ';')) {
+    const index = part.indexOf(':');
+    if (index <= 0) continue;
+    entries.push([part.slice(0, index).toUpperCase(), part.slice(index + 1)]);
+  }
+  return entries;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch {
+    return value;
+  }
+}
+
+function classifyUrl(text) {
+  let candidate = text;
+  if (/^(URLTO|URL):/i.test(candidate)) {
+    candidate = candidate.replace(/^(URLTO|URL):/i, '');
+  } else if (/^MEBKM:/i.test(candidate)) {
+    const entry = parseKeyValueList(candidate.slice(6)).find(([key]) => key === 'URL');
+    candidate = entry?.[1] ?? '';
+  }
+
+  if (!/^https?:\/\//i.test(candidate)) {
+    return null;
+  }
+
+  try {
+    const url = new URL(candidate);
+    return {
+      type: 'url',
+      fields: {
+        url: url.href,
+        host: url.host,
+        hasCredentials: Boolean(url.username || url.password),
+      },
+    };
+  } catch {
+    return null;
+  }
+}
+
+function classifyWifi(text) {
+  if (!/^WIFI:/i.test(text)) {
+    return null;
+  }
+
+  const fields = { ssid: '', password: '', security: 'nopass', hidden: false };
+  for (const [key, value] of parseKeyValueList(text.slice(5))) {
+    if (key === 'S') fields.ssid = value;
+    else if (key === 'P') fields.password = value;
+    else if (key === 'T') fields.security = value || 'nopass';
+    else if (key === 'H') fields.hidden = value.toLowerCase() === 'true';
+  }
+
+  return fields.ssid ? { type: 'wifi', fields } : null;
+}
+
+function unfoldVCardLines(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(Boolean);
+}
+
+function unescapeVCardValue(value) {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+function classifyVCard(text) {
+  if (!/^BEGIN:VCARD/i.test(text)) {
+    return null;
+  }
+
+  const fields = { name: '', phones: [], emails: [], organization: '', title: '', addresses: [], urls: [], note: '' };
+  let structuredName = '';
+
+  for (const line of unfoldVCardLines(text)) {
+    const index = line.indexOf(':');
+    if (index <= 0) continue;
+    const property = line.slice(0, index).split(';')[0].split('.').pop().toUpperCase();
+    const value = unescapeVCardValue(line.slice(index + 1));
+
+    if (property === 'FN') fields.name = value;
+    else if (property === 'N') structuredName = value.split(';').filter(Boolean).reverse().join(' ');
+    else if (property === 'TEL') fields.phones.push(value);
+    else if (property === 'EMAIL') fields.emails.push(value);
+    else if (property === 'ORG') fields.organization = value.replace(/;/g, ' ').trim();
+    else if (property === 'TITLE') fields.title = value;
+    else if (property === 'ADR') fields.addresses.push(value.split(';').filter(Boolean).join(' '));
+    else if (property === 'URL') fields.urls.push(value);
+    else if (property === 'NOTE') fields.note = value;
+  }
+
+  fields.name = fields.name || structuredName;
+  fields.vcard = text;
+  return { type: 'contact', fields };
+}
+
+function classifyMeCard(text) {
+  if (!/^MECARD:/i.test(text)) {
+    return null;
+  }
+
+  const fields = { name: '', phones: [], emails: [], organization: '', title: '', addresses: [], urls: [], note: '' };
+  for (const [key, value] of parseKeyValueList(text.slice(7))) {
+    if (key === 'N') fields.name = value.split(',').filter(Boolean).reverse().join(' ');
+    else if (key === 'TEL') fields.phones.push(value);
+    else if (key === 'EMAIL') fields.emails.push(value);
+    else if (key === 'ORG') fields.organization = value;
+    else if (key === 'ADR') fields.addresses.push(value);
+    else if (key === 'URL') fields.urls.push(value);
+    else if (key === 'NOTE') fields.note = value;
+  }
+
+  fields.vcard = buildVCard(fields);
+  return { type: 'contact', fields };
+}
+
+function classifyEmail(text) {
+  if (/^mailto:/i.test(text)) {
+    const [address, query = ''] = text.slice(7).split('?');
+    const params = new URLSearchParams(query);
+    return {
+      type: 'email',
+      fields: { to: safeDecode(address), subject: params.get('subject') ?? '', body: params.get('body') ?? '' },
+    };
+  }
+
+  if (/^MATMSG:/i.test(text)) {
+    const fields = { to: '', subject: '', body: '' };
+    for (const [key, value] of parseKeyValueList(text.slice(7))) {
+      if (key === 'TO') fields.to = value;
+      else if (key === 'SUB') fields.subject = value;
+      else if (key === 'BODY') fields.body = value;
+    }
+    return fields.to ? { type: 'email', fields } : null;
+  }
+
+  return null;
+}
+
+function classifyPhone(text) {
+  const match = /^tel:([+\d][\d\s().-]*)$/i.exec(text);
+  return match ? { type: 'phone', fields: { number: match[1].trim() } } : null;
+}
+
+function classifySms(text) {
+  const smsto = /^SMSTO:([^:]*):?([\s\S]*)$/i.exec(text);
+  if (smsto) {
+    return { type: 'sms', fields: { number: smsto[1], body: smsto[2] ?? '' } };
+  }
+
+  const sms = /^sms:([^?]*)(?:\?([\s\S]*))?$/i.exec(text);
+  if (sms) {
+    const params = new URLSearchParams(sms[2] ?? '');
+    return { type: 'sms', fields: { number: safeDecode(sms[1]), body: params.get('body') ?? '' } };
+  }
+
+  return null;
+}
+
+function classifyGeo(text) {
+  const match = /^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:,(-?\d+(?:\.\d+)?))?(?:;[^?]*)?(?:\?(.*))?$/i.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const latitude = Number(match[1]);
+  const longitude = Number(match[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+
+  const params = new URLSearchParams(match[4] ?? '');
+  return {
+    type: 'geo',
+    fields: {
+      latitude,
+      longitude,
+      altitude: match[3] !== undefined ? Number(match[3]) : null,
+      query: params.get('q') ?? '',
+    },
+  };
+}
+
+// EPC069-12 (SEPA Credit Transfer の QR コード、いわゆる GiroCode)
+function classifyEpc(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[0]?.trim() !== 'BCD' || lines[3]?.trim() !== 'SCT') {
+    return null;
+  }
+
+  const values = Array.from({ length: 12 }, (_, index) => lines[index]?.trim() ?? '');
+  const [, version, , , bic, name, iban, amount, purpose, reference, remittance, information] = values;
+  const amountMatch = /^([A-Z]{3})(\d+(?:\.\d{1,2})?)$/.exec(amount);
+
+  if (!name || !/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(iban.replace(/\s/g, ''))) {
+    return null;
+  }
+
+  return {
+    type: 'epc',
+    fields: {
+      version,
+      bic,
+      name,
+      iban: iban.replace(/\s/g, ''),
+      currency: amountMatch?.[1] ?? '',
+      amount: amountMatch ? Number(amountMatch[2]) : null,
+      purpose,
+      reference,
+      remittance,
+      information,
+    },
+  };
+}
+
+const CLASSIFIERS = [
+  classifyWifi,
+  classifyVCard,
+  classifyMeCard,
+  classifyEmail,
+  classifyPhone,
+  classifySms,
+  classifyGeo,
+  classifyEpc,
+  classifyUrl,
+];
+
+export function classifyPayload(rawValue) {
+  const text = String(rawValue ?? '').trim();
+
+  if (text) {
+    for (const classify of CLASSIFIERS) {
+      const payload = classify(text);
+      if (payload) {
+        return payload;
+      }
+    }
+  }
+
+  return { type: 'text', fields: { text } };
+}
+
+function escapeVCardValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+export function buildVCard(fields) {
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
+  const name = fields.name || fields.organization || '';
+  lines.push(`FN:${escapeVCardValue(name)}`);
+  lines.push(`N:${escapeVCardValue(name)};;;;`);
+  if (fields.organization) lines.push(`ORG:${escapeVCardValue(fields.organization)}`);
+  if (fields.title) lines.push(`TITLE:${escapeVCardValue(fields.title)}`);
+  fields.phones?.forEach((phone) => lines.push(`TEL:${escapeVCardValue(phone)}`));
+  fields.emails?.forEach((email) => lines.push(`EMAIL:${escapeVCardValue(email)}`));
+  fields.addresses?.forEach((address) => lines.push(`ADR:;;${escapeVCardValue(address)};;;;`));
+  fields.urls?.forEach((url) => lines.push(`URL:${escapeVCardValue(url)}`));
+  if (fields.note) lines.push(`NOTE:${escapeVCardValue(fields.note)}`);
+  lines.push('END:VCARD');
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// 結果一覧に表示する項目 ([ラベル, 値] の配列)
+export function describePayload(payload) {
+  const { type, fields } = payload;
+
+  switch (type) {
+    case 'url':
+      return [['ホスト', fields.host]];
+    case 'wifi':
+      return [
+        ['SSID', fields.ssid],
+        ['暗号化', WIFI_SECURITY_LABELS[fields.security] ?? fields.security],
+        ...(fields.hidden ? [['ステルス', 'はい']] : []),
+      ];
+    case 'contact':
+      return [
+        ['名前', fields.name],
+        ['所属', fields.organization],
+        ['電話', fields.phones.join(', ')],
+        ['メール', fields.emails.join(', ')],
+      ].filter(([, value]) => value);
+    case 'email':
+      return [['宛先', fields.to], ['件名', fields.subject]].filter(([, value]) => value);
+    case 'phone':
+      return [['番号', fields.number]];
+    case 'sms':
+      return [['番号', fields.number], ['本文', fields.body]].filter(([, value]) => value);
+    case 'geo':
+      return [
+        ['緯度', String(fields.latitude)],
+        ['経度', String(fields.longitude)],
+        ...(fields.query ? [['検索語', fields.query]] : []),
+      ];
+    case 'epc':
+      return [
+        ['受取人', fields.name],
+        ['IBAN', fields.iban],
+        ...(fields.amount !== null ? [['金額', `${fields.amount.toFixed(2)} ${fields.currency}`]] : []),
+        ...(fields.reference || fields.remittance ? [['参照', fields.reference || fields.remittance]] : []),
+      ];
+    default:
+      return [];
+  }
+}
+
+function toFileName(value, fallback) {
+  const name = String(value ?? '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+    .trim();
+  return name || fallback;
+}
+
+// 結果一覧に出す操作。kind ごとに呼び出し側が実行する
+//   open      確認してから URL を開く (url, host, hasCredentials)
+//   copy      text をコピーして message を表示する
+//   download  content を filename (type) として保存する
+//   navigate  href (mailto: / tel: / sms:) に移動する
+//   window    href を新しいタブで開く
+// 分類できなかった値 (1 次元コードの値など) は rawValue をそのままコピーする
+export function getPayloadActions(payload, rawValue) {
+  const { type, fields } = payload;
+
+  switch (type) {
+    case 'url':
+      return [
+        { kind: 'open', label: '開く', url: fields.url, host: fields.host, hasCredentials: fields.hasCredentials },
+      ];
+    case 'wifi':
+      return fields.password
+        ? [{ kind: 'copy', label: 'パスワードをコピー', text: fields.password, message: 'パスワードをコピーしました' }]
+        : [];
+    case 'contact':
+      return [
+        {
+          kind: 'download',
+          label: '連絡先を保存',
+          filename: `${toFileName(fields.name, 'contact')}.vcf`,
+          content: fields.vcard,
+          type: 'text/vcard',
+        },
+      ];
+    case 'email': {
+      const params = new URLSearchParams();
+      if (fields.subject) params.set('subject', fields.subject);
+      if (fields.body) params.set('body', fields.body);
+      const query = params.toString().replace(/\+/g, '%20');
+      const href = `mailto:${encodeURIComponent(fields.to)}${query ? `?${query}` : ''}`;
+      return [{ kind: 'navigate', label: 'メールを作成', href }];
+    }
+    case 'phone':
+      return [{ kind: 'navigate', label: '電話をかける', href: `tel:${fields.number.replace(/[^\d+]/g, '')}` }];
+    case 'sms': {
+      const body = fields.body ? `?body=${encodeURIComponent(fields.body)}` : '';
+      return [{ kind: 'navigate', label: 'SMS を作成', href: `sms:${fields.number.replace(/[^\d+]/g, '')}${body}` }];
+    }
+    case 'geo': {
+      const { latitude, longitude } = fields;
+      const href = `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=17/${latitude}/${longitude}`;
+      return [{ kind: 'window', label: '地図で開く', href }];
+    }
+    case 'epc':
+      return [{ kind: 'copy', label: 'IBAN をコピー', text: fields.iban, message: 'IBAN をコピーしました' }];
+    default:
+      return rawValue ? [{ kind: 'copy', label: 'コピー', text: rawValue, message: '値をコピーしました' }] : [];
+  }
+}
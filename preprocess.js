@@ -0,0 +1,182 @@
+// ZXing に渡す前の輝度配列 (Uint8ClampedArray, 1 画素 1 バイト) に対する前処理
+
+const CONTRAST_PERCENTILE = 0.01;
+const CLAHE_TILES = 8;
+const CLAHE_CLIP_LIMIT = 2.5;
+
+function clampByte(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+// 上下 1% を除いた明るさの範囲を 0〜255 に引き伸ばす
+export function stretchContrast(luminances) {
+  const histogram = new Uint32Array(256);
+  for (const value of luminances) {
+    histogram[value] += 1;
+  }
+
+  const cutoff = luminances.length * CONTRAST_PERCENTILE;
+  let low = 0;
+  for (let sum = 0; low < 255 && sum + histogram[low] <= cutoff; low += 1) {
+    sum += histogram[low];
+  }
+  let high = 255;
+  for (let sum = 0; high > 0 && sum + histogram[high] <= cutoff; high -= 1) {
+    sum += histogram[high];
+  }
+
+  const output = new Uint8ClampedArray(luminances.length);
+  if (high <= low) {
+    output.set(luminances);
+    return output;
+  }
+
+  const scale = 255 / (high - low);
+  for (let i = 0; i < luminances.length; i += 1) {
+    output[i] = (luminances[i] - low) * scale;
+  }
+  return output;
+}
+
+function buildClaheMap(luminances, width, x0, y0, x1, y1, clipLimit) {
+  const histogram = new Uint32Array(256);
+  for (let y = y0; y < y1; y += 1) {
+    for (let x = x0; x < x1; x += 1) {
+      histogram[luminances[y * width + x]] += 1;
+    }
+  }
+
+  // ヒストグラムの山を切り、はみ出した分を全体に配り直すことでノイズの強調を抑える
+  const pixelCount = (x1 - x0) * (y1 - y0);
+  const limit = Math.max(1, Math.floor((clipLimit * pixelCount) / 256));
+  let excess = 0;
+  for (let i = 0; i < 256; i += 1) {
+    if (histogram[i] > limit) {
+      excess += histogram[i] - limit;
+      histogram[i] = limit;
+    }
+  }
+  const share = Math.floor(excess / 256);
+  const remainder = excess % 256;
+  for (let i = 0; i < 256; i += 1) {
+    histogram[i] += share + (i < remainder ? 1 : 0);
+  }
+
+  const map = new Uint8ClampedArray(256);
+  let cumulative = 0;
+  for (let i = 0; i < 256; i += 1) {
+    cumulative += histogram[i];
+    map[i] = (cumulative * 255) / pixelCount;
+  }
+  return map;
+}
+
+// 局所的なヒストグラム平坦化 (CLAHE)。光沢のあるパッケージの照り返しやレーザー刻印のような低コントラストに効く
+export function applyClahe(luminances, width, height, { tiles = CLAHE_TILES, clipLimit = CLAHE_CLIP_LIMIT } = {}) {
+  const tileWidth = Math.max(1, Math.ceil(width / tiles));
+  const tileHeight = Math.max(1, Math.ceil(height / tiles));
+  const tilesX = Math.ceil(width / tileWidth);
+  const tilesY = Math.ceil(height / tileHeight);
+
+  const maps = [];
+  for (let ty = 0; ty < tilesY; ty += 1) {
+    for (let tx = 0; tx < tilesX; tx += 1) {
+      const x0 = tx * tileWidth;
+      const y0 = ty * tileHeight;
+      maps.push(
+        buildClaheMap(
+          luminances,
+          width,
+          x0,
+          y0,
+          Math.min(width, x0 + tileWidth),
+          Math.min(height, y0 + tileHeight),
+          clipLimit,
+        ),
+      );
+    }
+  }
+
+  // 隣り合うタイルの変換を双一次補間して、タイル境界の段差を消す
+  const output = new Uint8ClampedArray(luminances.length);
+  for (let y = 0; y < height; y += 1) {
+    const gy = Math.min(Math.max((y + 0.5) / tileHeight - 0.5, 0), tilesY - 1);
+    const ty0 = Math.floor(gy);
+    const ty1 = Math.min(ty0 + 1, tilesY - 1);
+    const fy = gy - ty0;
+
+    for (let x = 0; x < width; x += 1) {
+      const gx = Math.min(Math.max((x + 0.5) / tileWidth - 0.5, 0), tilesX - 1);
+      const tx0 = Math.floor(gx);
+      const tx1 = Math.min(tx0 + 1, tilesX - 1);
+      const fx = gx - tx0;
+
+      const value = luminances[y * width + x];
+      const top = maps[ty0 * tilesX + tx0][value] * (1 - fx) + maps[ty0 * tilesX + tx1][value] * fx;
+      const bottom = maps[ty1 * tilesX + tx0][value] * (1 - fx) + maps[ty1 * tilesX + tx1][value] * fx;
+      output[y * width + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+  return output;
+}
+
+// 3x3 のアンシャープマスク。ピントの甘いモジュールの境界を立たせる
+export function sharpen(luminances, width, height) {
+  const output = new Uint8ClampedArray(luminances);
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const index = y * width + x;
+      output[index] = clampByte(
+        5 * luminances[index] -
+          luminances[index - 1] -
+          luminances[index + 1] -
+          luminances[index - width] -
+          luminances[index + width],
+      );
+    }
+  }
+  return output;
+}
+
+// 白黒を反転する (黒地に白の QR コードやダークフィールドの刻印向け)
+export function invert(luminances) {
+  const output = new Uint8ClampedArray(luminances.length);
+  for (let i = 0; i < luminances.length; i += 1) {
+    output[i] = 255 - luminances[i];
+  }
+  return output;
+}
+
+// 時計回りに 90° または 180° 回転する
+export function rotate(luminances, width, height, degrees) {
+  const output = new Uint8ClampedArray(luminances.length);
+
+  if (degrees === 180) {
+    for (let i = 0, last = luminances.length - 1; i <= last; i += 1) {
+      output[i] = luminances[last - i];
+    }
+    return { luminances: output, width, height };
+  }
+
+  if (degrees === 90) {
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        output[x * height + (height - 1 - y)] = luminances[y * width + x];
+      }
+    }
+    return { luminances: output, width: height, height: width };
+  }
+
+  throw new RangeError(`未対応の回転角です: ${degrees}`);
+}
+
+// 回転後の画像上の座標を、回転前 (幅 width, 高さ height) の座標に戻す
+export function unrotatePoint(point, degrees, width, height) {
+  if (degrees === 90) {
+    return { x: point.y, y: height - 1 - point.x };
+  }
+  if (degrees === 180) {
+    return { x: width - 1 - point.x, y: height - 1 - point.y };
+  }
+  return point;
+}
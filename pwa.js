@@ -0,0 +1,39 @@
+// サービスワーカーを登録する。
+// 新しい版が待機状態になったら onUpdate(apply) を呼ぶ。apply() で新しい版に切り替えてページを読み込み直す
+export async function registerServiceWorker({ onUpdate }) {
+  if (!('serviceWorker' in navigator)) {
+    return null;
+  }
+
+  const registration = await navigator.serviceWorker.register(new URL('./service-worker.js', import.meta.url));
+  let applying = false;
+
+  const notify = (worker) =>
+    onUpdate(() => {
+      applying = true;
+      worker.postMessage({ type: 'skip-waiting' });
+    });
+
+  // 初回のインストールでは、まだ制御しているワーカーがないため案内しない
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    notify(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        notify(worker);
+      }
+    });
+  });
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (applying) {
+      applying = false;
+      window.location.reload();
+    }
+  });
+
+  return registration;
+}
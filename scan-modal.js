@@ -0,0 +1,176 @@
+import { BarcodeScanner, DETECTOR_DEFINITIONS } from './barcode-scanner.js';
+
+const STYLE = `
+  .scan-modal {
+    width: min(92vw, 640px);
+    padding: 1rem;
+    border: 1px solid rgba(148, 163, 184, 0.4);
+    border-radius: 0.75rem;
+    background: #0f172a;
+    color: #e2e8f0;
+    font-family: system-ui, sans-serif;
+  }
+
+  .scan-modal::backdrop {
+    background: rgba(15, 23, 42, 0.75);
+  }
+
+  .scan-modal h2 {
+    margin: 0 0 0.75rem;
+    font-size: 1.1rem;
+  }
+
+  .scan-modal .scan-modal-video {
+    position: relative;
+    aspect-ratio: 4 / 3;
+    border-radius: 0.5rem;
+    overflow: hidden;
+    background: rgba(15, 23, 42, 0.5);
+  }
+
+  .scan-modal video {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+    display: block;
+  }
+
+  .scan-modal canvas {
+    position: absolute;
+    inset: 0;
+    width: 100%;
+    height: 100%;
+    pointer-events: none;
+  }
+
+  .scan-modal output {
+    display: block;
+    min-height: 1.5em;
+    margin: 0.75rem 0;
+  }
+
+  .scan-modal button {
+    width: 100%;
+    border-radius: 0.5rem;
+    border: 1px solid rgba(148, 163, 184, 0.4);
+    background: rgba(15, 23, 42, 0.4);
+    color: inherit;
+    font: inherit;
+    padding: 0.6rem 0.75rem;
+    cursor: pointer;
+  }
+`;
+
+function createDialog(title) {
+  const dialog = document.createElement('dialog');
+  dialog.className = 'scan-modal';
+  dialog.innerHTML = `
+    <style>${STYLE}</style>
+    <h2></h2>
+    <div class="scan-modal-video">
+      <video playsinline autoplay muted></video>
+      <canvas></canvas>
+    </div>
+    <output role="status">カメラを起動中…</output>
+    <button type="button">キャンセル</button>
+  `;
+  dialog.querySelector('h2').textContent = title;
+  return dialog;
+}
+
+// 指定されたアルゴリズムの検出器だけを作る。指定がないか利用できない場合は、定義順に最初に使えるものを使う
+async function selectAlgorithm(scanner, algorithm) {
+  const candidates = DETECTOR_DEFINITIONS.map(({ id }) => id).filter((id) => id !== algorithm);
+  for (const type of algorithm ? [algorithm, ...candidates] : candidates) {
+    await scanner.checkAvailability([type]);
+    if (scanner.isAvailable(type)) {
+      scanner.setAlgorithm(type);
+      return;
+    }
+  }
+}
+
+// モーダルでカメラを開き、1 つ読み取ったら閉じて結果を返す。
+// options は BarcodeScanner#scanOnce と同じ ({ formats, timeout, validate, deviceId, signal }) に加えて
+// title (見出し)、algorithm (使う検出アルゴリズム)、feedback (読み取り時に通知する ScanFeedback) を受け付ける。
+// キャンセルボタンや Esc で閉じた場合は AbortError で reject する
+export async function scanOnceInModal({
+  title = 'バーコードを読み取る',
+  algorithm,
+  formats,
+  feedback = null,
+  signal,
+  ...options
+} = {}) {
+  if (signal?.aborted) {
+    throw signal.reason;
+  }
+
+  const dialog = createDialog(title);
+  const video = dialog.querySelector('video');
+  const statusEl = dialog.querySelector('output');
+  const controller = new AbortController();
+  const cancel = () => {
+    const error = new Error('スキャンをキャンセルしました');
+    error.name = 'AbortError';
+    controller.abort(error);
+  };
+
+  const scanner = new BarcodeScanner({
+    video,
+    overlay: dialog.querySelector('canvas'),
+    container: dialog.querySelector('.scan-modal-video'),
+    formats,
+  });
+  scanner.addEventListener('invalid', (event) => {
+    const { detection } = event.detail;
+    statusEl.value = `対象外のコードです: ${detection.rawValue}`;
+    feedback?.notify('invalid', { scanner, result: detection });
+  });
+  scanner.addEventListener('statechange', (event) => {
+    if (event.detail.state === 'scanning') {
+      statusEl.value = 'バーコードを枠内に映してください';
+    }
+  });
+  video.addEventListener('loadedmetadata', () => scanner.resizeOverlay());
+
+  // Esc の既定の動作はダイアログを閉じるだけなので、中止として扱い、後片付けのあとに閉じる
+  dialog.addEventListener('cancel', (event) => {
+    event.preventDefault();
+    cancel();
+  });
+  dialog.querySelector('button').addEventListener('click', cancel);
+  const forwardAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+  const aborted = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  aborted.catch(() => {});
+
+  document.body.append(dialog);
+  dialog.showModal();
+
+  try {
+    // 検出器の確認 (ZXing のワーカーの起動など) は時間がかかることがあるため、中止されたら完了を待たずに閉じる。
+    // 確認があとから終わって作られた検出器は、そのときに破棄する
+    const selecting = selectAlgorithm(scanner, algorithm);
+    selecting
+      .finally(() => {
+        if (controller.signal.aborted) {
+          scanner.destroy();
+        }
+      })
+      .catch(() => {});
+    await Promise.race([selecting, aborted]);
+    controller.signal.throwIfAborted();
+
+    const detection = await scanner.scanOnce({ ...options, signal: controller.signal });
+    feedback?.notify('success');
+    return detection;
+  } finally {
+    signal?.removeEventListener('abort', forwardAbort);
+    scanner.destroy();
+    dialog.close();
+    dialog.remove();
+  }
+}
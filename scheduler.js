@@ -0,0 +1,185 @@
+import { toGrayscale } from './zxing-decoder.js';
+
+const DEFAULT_MIN_INTERVAL_MS = 250;
+// requestVideoFrameCallback が使えない環境で、映像が進むのを待つ間隔
+const FRAME_POLL_MS = 16;
+const DECODE_TIME_SMOOTHING = 0.3;
+const MOTION_SAMPLE_WIDTH = 32;
+const MOTION_SAMPLE_HEIGHT = 24;
+// 縮小画像の画素あたりの平均輝度差がこれを超えたら動きありとみなす
+const MOTION_THRESHOLD = 8;
+
+// minInterval が null のプリセットは、スキャナーの interval を最短間隔に使う
+export const SCHEDULE_PRESETS = {
+  balanced: { label: '標準', minInterval: null, maxInterval: 1000, cpuBudget: 0.5, idleAfterMs: 5000 },
+  'battery-saver': { label: '省電力', minInterval: 500, maxInterval: 2000, cpuBudget: 0.2, idleAfterMs: 2000 },
+  'max-speed': { label: '最高速', minInterval: 0, maxInterval: 0, cpuBudget: 1, idleAfterMs: Infinity },
+};
+
+// 検出の実行タイミングを決める。
+// - requestVideoFrameCallback で新しいフレームが来てから実行し、同じフレームを二度処理しない
+// - 実行間隔は minInterval 以上で、検出にかかった時間の割合が cpuBudget を超えないように空ける
+// - idleAfterMs のあいだ何も検出しなければ、maxInterval ごとの実行に落とす。
+//   その間も縮小したフレームで動きを調べ、動きがあればすぐに検出に戻る
+export class DetectionScheduler {
+  constructor(video, options = {}) {
+    this.video = video;
+    this.configure(options);
+    this.decodeMs = 0;
+    this.idle = false;
+    this.lastDetectionAt = 0;
+    this.skippedFrames = 0;
+
+    this._task = null;
+    this._running = false;
+    this._timer = null;
+    this._frameRequest = null;
+    this._lastMediaTime = null;
+    this._lastRunAt = 0;
+    this._motionCtx = null;
+    this._previousSample = null;
+  }
+
+  configure({
+    minInterval = DEFAULT_MIN_INTERVAL_MS,
+    maxInterval = 1000,
+    cpuBudget = 0.5,
+    idleAfterMs = 5000,
+  } = {}) {
+    this.minInterval = Math.max(0, minInterval);
+    this.maxInterval = Math.max(this.minInterval, maxInterval);
+    this.cpuBudget = Math.min(Math.max(cpuBudget, 0.05), 1);
+    this.idleAfterMs = idleAfterMs;
+  }
+
+  // task は検出を 1 回行い、見つかった件数を返す
+  start(task) {
+    this.stop();
+    this._task = task;
+    this._running = true;
+    this.idle = false;
+    this.lastDetectionAt = performance.now();
+    this._waitForFrame();
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    if (this._frameRequest !== null) {
+      this.video.cancelVideoFrameCallback?.(this._frameRequest);
+      this._frameRequest = null;
+    }
+    this._previousSample = null;
+  }
+
+  // 処理時間から決まる次の実行までの待ち時間
+  getDelay() {
+    const budgetDelay = this.cpuBudget >= 1 ? 0 : (this.decodeMs * (1 - this.cpuBudget)) / this.cpuBudget;
+    return Math.max(this.minInterval, budgetDelay);
+  }
+
+  getStats() {
+    return {
+      interval: this.idle ? this.maxInterval : this.getDelay(),
+      decodeMs: this.decodeMs,
+      idle: this.idle,
+      skippedFrames: this.skippedFrames,
+      videoFrameCallback: typeof this.video.requestVideoFrameCallback === 'function',
+    };
+  }
+
+  _schedule(delay) {
+    if (!this._running) {
+      return;
+    }
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._waitForFrame();
+    }, delay);
+  }
+
+  _waitForFrame() {
+    if (!this._running) {
+      return;
+    }
+
+    if (typeof this.video.requestVideoFrameCallback === 'function') {
+      this._frameRequest = this.video.requestVideoFrameCallback((now, metadata) => {
+        this._frameRequest = null;
+        this._handleFrame(metadata?.mediaTime ?? this.video.currentTime);
+      });
+    } else {
+      this._handleFrame(this.video.currentTime);
+    }
+  }
+
+  async _handleFrame(mediaTime) {
+    if (!this._running) {
+      return;
+    }
+
+    if (mediaTime === this._lastMediaTime) {
+      this._schedule(FRAME_POLL_MS);
+      return;
+    }
+    this._lastMediaTime = mediaTime;
+
+    const now = performance.now();
+    const wasIdle = this.idle;
+    this.idle = now - this.lastDetectionAt > this.idleAfterMs;
+    if (this.idle && !wasIdle) {
+      this._previousSample = null;
+    }
+
+    // 待機中は動きがあるか maxInterval が過ぎるまで検出しない
+    if (this.idle && now - this._lastRunAt < this.maxInterval && !this._detectMotion()) {
+      this.skippedFrames += 1;
+      this._schedule(this.getDelay());
+      return;
+    }
+
+    const startedAt = performance.now();
+    let count = 0;
+    try {
+      count = await this._task();
+    } catch (error) {
+      console.error('Detection task error', error);
+    }
+
+    const elapsed = performance.now() - startedAt;
+    this.decodeMs = this.decodeMs ? this.decodeMs + (elapsed - this.decodeMs) * DECODE_TIME_SMOOTHING : elapsed;
+    this._lastRunAt = startedAt;
+    if (count > 0) {
+      this.lastDetectionAt = performance.now();
+      this.idle = false;
+    }
+
+    this._schedule(this.getDelay());
+  }
+
+  _detectMotion() {
+    if (!this._motionCtx) {
+      const canvas = document.createElement('canvas');
+      canvas.width = MOTION_SAMPLE_WIDTH;
+      canvas.height = MOTION_SAMPLE_HEIGHT;
+      this._motionCtx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    this._motionCtx.drawImage(this.video, 0, 0, MOTION_SAMPLE_WIDTH, MOTION_SAMPLE_HEIGHT);
+    const sample = toGrayscale(this._motionCtx.getImageData(0, 0, MOTION_SAMPLE_WIDTH, MOTION_SAMPLE_HEIGHT));
+    const previous = this._previousSample;
+    this._previousSample = sample;
+    if (!previous) {
+      return false;
+    }
+
+    let difference = 0;
+    for (let i = 0; i < sample.length; i += 1) {
+      difference += Math.abs(sample[i] - previous[i]);
+    }
+    return difference / sample.length > MOTION_THRESHOLD;
+  }
+}
@@ -0,0 +1,91 @@
+// アプリ本体と ZXing をキャッシュし、ネットワークのない場所でもスキャナーを使えるようにする。
+// デプロイのたびに CACHE_VERSION を上げる。新しい版は待機状態になり、ページの案内から切り替える。
+const CACHE_VERSION = '0.0.10';
+const CACHE_PREFIX = 'barcode-scanner-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './styles.css',
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './app.js',
+  './barcode-formats.js',
+  './barcode-scanner.js',
+  './barcode-scanner-element.js',
+  './bridge.js',
+  './check-digits.js',
+  './confirmation.js',
+  './detectors.js',
+  './diagnostics.js',
+  './export.js',
+  './feedback.js',
+  './forwarder.js',
+  './gs1.js',
+  './history-store.js',
+  './inventory.js',
+  './payload.js',
+  './preprocess.js',
+  './pwa.js',
+  './scan-modal.js',
+  './scheduler.js',
+  './tracker.js',
+  './zxing-decoder.js',
+  './zxing-worker.js',
+  './vendor/zxing-library.esm.js',
+];
+
+// CDN の ZXing (と、そこから読み込まれる依存モジュール) は初回の取得時にキャッシュする
+const CDN_PREFIX = 'https://cdn.jsdelivr.net/npm/';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+async function respondFromCache(request) {
+  const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin || request.url.startsWith(CDN_PREFIX)) {
+    event.respondWith(respondFromCache(request));
+  }
+});
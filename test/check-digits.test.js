@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  expandUpcE,
+  getNormalizedValues,
+  isValidIsbn10,
+  isValidIssn,
+  toGtin14,
+  validateBarcode,
+} from '../check-digits.js';
+
+test('EAN-13 のチェックディジットを検証する', () => {
+  assert.deepEqual(validateBarcode('4901234567894', 'ean_13'), { valid: true, scheme: 'GS1 mod 10', error: null });
+  assert.equal(validateBarcode('4901234567895', 'ean_13').valid, false);
+  assert.equal(validateBarcode('490123456789', 'ean_13').error, 'EAN-13 は 13 桁の数字です');
+});
+
+test('ISBN-13 と ISSN の EAN-13 は種別を返す', () => {
+  assert.equal(validateBarcode('9784101010014', 'ean_13').scheme, 'ISBN-13');
+  assert.equal(validateBarcode('9770028083002', 'ean_13').scheme, 'ISSN');
+});
+
+test('Code 39 のチェック文字は指定した場合だけ検証する', () => {
+  assert.equal(validateBarcode('ABCX', 'code_39').valid, null);
+  assert.equal(validateBarcode('ABCX', 'code_39', { code39CheckCharacter: true }).valid, true);
+  assert.equal(validateBarcode('ABC1', 'code_39', { code39CheckCharacter: true }).valid, false);
+});
+
+test('ISBN-10 と ISSN のチェック文字を検証する', () => {
+  assert.equal(isValidIsbn10('0-8044-2957-X'), true);
+  assert.equal(isValidIsbn10('4101010010'), false);
+  assert.equal(isValidIssn('0028-0836'), true);
+  assert.equal(isValidIssn('0028-0837'), false);
+});
+
+test('正規化した値に ISBN-10・ISSN・GTIN-14 を含める', () => {
+  assert.deepEqual(getNormalizedValues('9784101010014', 'ean_13'), {
+    isbn10: '4101010013',
+    gtin14: '09784101010014',
+  });
+  assert.equal(getNormalizedValues('9770028083002', 'ean_13').issn, '0028-0836');
+  // チェックディジットの誤った値からは変換しない
+  assert.equal(getNormalizedValues('9784101010015', 'ean_13').isbn10, undefined);
+});
+
+test('UPC-E を UPC-A に展開する', () => {
+  assert.equal(expandUpcE('01234565'), '012345000065');
+  assert.equal(toGtin14('01234565', 'upc_e'), '00012345000065');
+});
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { DetectionConfirmer } from '../confirmation.js';
+
+const code128 = { rawValue: 'ABC-123', format: 'code_128', valid: null };
+
+test('直近 windowFrames 回の検出のうち requiredReads 回読めたら確定する', () => {
+  const confirmer = new DetectionConfirmer({ requiredReads: 3, windowFrames: 5 });
+  assert.equal(confirmer.process([code128]).tentative.length, 1);
+  confirmer.process([]);
+  assert.equal(confirmer.process([code128]).tentative[0].reads, 2);
+  assert.deepEqual(confirmer.process([code128]).confirmed, [code128]);
+});
+
+test('窓から外れた読み取りは数えない', () => {
+  const confirmer = new DetectionConfirmer({ requiredReads: 3, windowFrames: 5 });
+  confirmer.process([code128]);
+  confirmer.process([code128]);
+  for (let i = 0; i < 4; i += 1) {
+    confirmer.process([]);
+  }
+  assert.equal(confirmer.process([code128]).confirmed.length, 0);
+});
+
+test('同じフレームに同じ値が複数あっても 1 回として数える', () => {
+  const confirmer = new DetectionConfirmer({ requiredReads: 2, windowFrames: 5 });
+  assert.equal(confirmer.process([code128, code128]).confirmed.length, 0);
+});
+
+test('チェックディジットで検証できた値と 2 次元コードは 1 回で確定する', () => {
+  const confirmer = new DetectionConfirmer();
+  const ean = { rawValue: '4901234567894', format: 'ean_13', valid: true };
+  const qr = { rawValue: 'hello', format: 'qr_code' };
+  assert.equal(confirmer.process([ean, qr]).confirmed.length, 2);
+
+  const strict = new DetectionConfirmer({ acceptValidChecksum: false });
+  assert.equal(strict.process([ean]).confirmed.length, 0);
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { createExportFileName, escapeCsvField, exportInventory, exportResults } from '../export.js';
+
+test('カンマ・ダブルクォート・改行を含むフィールドだけをクォートする', () => {
+  assert.equal(escapeCsvField('plain'), 'plain');
+  assert.equal(escapeCsvField('a,b'), '"a,b"');
+  assert.equal(escapeCsvField('say "hi"'), '"say ""hi"""');
+  assert.equal(escapeCsvField('line\nbreak'), '"line\nbreak"');
+  assert.equal(escapeCsvField(null), '');
+});
+
+const result = {
+  rawValue: '4901234567894',
+  format: 'ean_13',
+  valid: true,
+  firstSeen: Date.UTC(2025, 0, 1),
+  lastSeen: Date.UTC(2025, 0, 1, 0, 0, 5),
+  box: { x: 10.123, y: 20, width: 30, height: 40 },
+  points: null,
+};
+
+test('結果を JSON Lines で書き出す', () => {
+  const [line] = exportResults([result], 'jsonl').trimEnd().split('\n');
+  const record = JSON.parse(line);
+  assert.equal(record.gtin14, '04901234567894');
+  assert.equal(record.valid, true);
+  assert.equal(record.firstSeen, '2025-01-01T00:00:00.000Z');
+});
+
+test('CSV は見出し行と CRLF 区切りで、指定すれば BOM を付ける', () => {
+  const csv = exportResults([result], 'csv', { bom: true });
+  assert.ok(csv.startsWith('\uFEFFvalue,'));
+  assert.equal(csv.split('\r\n').length, 3);
+});
+
+test('テキストは値を 1 行ずつ並べる', () => {
+  assert.equal(exportResults([result, { ...result, rawValue: 'ABC' }], 'txt'), '4901234567894\nABC\n');
+  assert.equal(exportResults([], 'txt'), '');
+});
+
+test('棚卸しの差分を書き出す', () => {
+  const [line] = exportInventory(
+    [{ code: 'A', name: 'Tea', expected: 3, count: 1, status: 'missing', lastScannedAt: null }],
+    'jsonl',
+  ).split('\n');
+  assert.deepEqual(JSON.parse(line), {
+    code: 'A',
+    name: 'Tea',
+    expected: 3,
+    counted: 1,
+    difference: -2,
+    status: 'missing',
+    lastScanned: null,
+  });
+});
+
+test('ファイル名に日時と拡張子を付ける', () => {
+  assert.equal(createExportFileName('barcode', 'csv', new Date(2025, 0, 2, 3, 4, 5)), 'barcode-20250102-030405.csv');
+});
@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { parseGS1 } from '../gs1.js';
+
+const GS = '\u001d';
+
+test('シンボル識別子付きの GS1-128 を AI ごとに分解する', () => {
+  const parsed = parseGS1(`]C101049123451234591725123110ABC123${GS}21XYZ`, 'code_128');
+  assert.equal(parsed.symbology, 'GS1-128');
+  assert.equal(parsed.valid, true);
+  assert.deepEqual(
+    parsed.elements.map(({ ai, value }) => [ai, value]),
+    [
+      ['01', '04912345123459'],
+      ['17', '251231'],
+      ['10', 'ABC123'],
+      ['21', 'XYZ'],
+    ],
+  );
+  assert.equal(parsed.elements[1].display, '2025-12-31');
+});
+
+test('括弧付きの表記も読み、チェックディジットの誤りを要素ごとに示す', () => {
+  const parsed = parseGS1('(01)04912345123458(17)251231', 'code_128');
+  assert.equal(parsed.valid, false);
+  assert.equal(parsed.elements[0].valid, false);
+  assert.equal(parsed.elements[0].error, 'チェックディジットが不正です');
+});
+
+test('GS1 と判断できない値には null を返す', () => {
+  assert.equal(parseGS1('4901234567894', 'ean_13'), null);
+  assert.equal(parseGS1('HELLO WORLD', 'code_128'), null);
+  assert.equal(parseGS1(']E04901234567894', 'ean_13'), null);
+});
@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { groupScans } from '../history-store.js';
+
+test('同じセッション・フォーマット・値の記録を 1 行にまとめる', () => {
+  const entries = [
+    { id: 3, value: '4901234567894', format: 'ean_13', sessionId: 1, algorithm: 'zxing', timestamp: 3000 },
+    { id: 2, value: 'ABC', format: 'code_128', sessionId: 1, algorithm: 'native', timestamp: 2000 },
+    { id: 1, value: '4901234567894', format: 'ean_13', sessionId: 1, algorithm: 'native', timestamp: 1000 },
+    { id: 4, value: '4901234567894', format: 'ean_13', sessionId: 2, algorithm: 'native', timestamp: 500 },
+  ];
+
+  const [first, second, third] = groupScans(entries);
+  assert.deepEqual(first, {
+    id: 3,
+    value: '4901234567894',
+    format: 'ean_13',
+    sessionId: 1,
+    algorithm: 'zxing',
+    timestamp: 3000,
+    count: 2,
+    firstSeen: 1000,
+    ids: [3, 1],
+  });
+  assert.equal(second.value, 'ABC');
+  assert.equal(second.count, 1);
+  assert.equal(third.sessionId, 2);
+});
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { InventoryCount, parseManifestCsv } from '../inventory.js';
+
+const ean = (rawValue) => ({ rawValue, format: 'ean_13' });
+
+test('予定表の CSV は見出し行を飛ばし、クォートした値を読む', () => {
+  const items = parseManifestCsv('\uFEFFcode,name,expected_qty\r\n4901234567894,"Tea, green",2\r\n\r\n12345678,Pen,1\r\n');
+  assert.deepEqual(items, [
+    { code: '4901234567894', name: 'Tea, green', expected: 2 },
+    { code: '12345678', name: 'Pen', expected: 1 },
+  ]);
+});
+
+test('予定数が整数でない行は例外にする', () => {
+  assert.throws(() => parseManifestCsv('code,name,expected_qty\n4901234567894,Tea,two'), /1 件目の予定数/);
+});
+
+test('写り続けている間は数えず、cooldownMs 以上途切れたら新しい 1 個として数える', () => {
+  const inventory = new InventoryCount({ cooldownMs: 1000 });
+  assert.equal(inventory.recordDetections([ean('4901234567894')], 0).length, 1);
+  assert.equal(inventory.recordDetections([ean('4901234567894')], 500).length, 0);
+  assert.equal(inventory.recordDetections([ean('4901234567894')], 2000).length, 1);
+  // 同時に 2 枚写ったら 2 個として数える
+  inventory.recordDetections([ean('4901234567894'), ean('4901234567894')], 2100);
+  assert.equal(inventory.getItems()[0].count, 3);
+});
+
+test('予定表と突き合わせ、GTIN-14 に揃えて同じ品目として数える', () => {
+  const inventory = new InventoryCount();
+  inventory.loadManifest([
+    { code: '04901234567894', name: 'Tea', expected: 1 },
+    { code: '12345670', name: 'Pen', expected: 2 },
+  ]);
+  inventory.recordDetections([ean('4901234567894'), { rawValue: 'X-1', format: 'code_128' }], 0);
+
+  const statuses = Object.fromEntries(inventory.getItems().map((item) => [item.code, item.status]));
+  assert.deepEqual(statuses, { '04901234567894': 'matched', 'X-1': 'unexpected', 12345670: 'missing' });
+  assert.deepEqual(inventory.getSummary(), {
+    matched: 1,
+    missing: 1,
+    over: 0,
+    unexpected: 1,
+    expectedTotal: 3,
+    countedTotal: 2,
+  });
+});
+
+test('直前のスキャンを取り消す', () => {
+  const inventory = new InventoryCount();
+  inventory.recordDetections([ean('4901234567894')], 0);
+  assert.equal(inventory.canUndo(), true);
+  inventory.undo();
+  assert.equal(inventory.getItems().length, 0);
+});
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { classifyPayload, getPayloadActions } from '../payload.js';
+
+test('1 次元コードの値はテキストとして分類し、値をコピーする操作を出す', () => {
+  const payload = classifyPayload('4901234567894');
+  assert.equal(payload.type, 'text');
+  assert.deepEqual(getPayloadActions(payload, '4901234567894'), [
+    { kind: 'copy', label: 'コピー', text: '4901234567894', message: '値をコピーしました' },
+  ]);
+});
+
+test('空の値にはコピーする操作を出さない', () => {
+  assert.deepEqual(getPayloadActions(classifyPayload(''), ''), []);
+});
+
+test('URL は確認してから開く操作を出す', () => {
+  const [action] = getPayloadActions(classifyPayload('https://user@example.com/path'), 'https://user@example.com/path');
+  assert.equal(action.kind, 'open');
+  assert.equal(action.host, 'example.com');
+  assert.equal(action.hasCredentials, true);
+});
+
+test('Wi-Fi の設定はエスケープを解いて分類する', () => {
+  const payload = classifyPayload('WIFI:T:WPA;S:My\\;Net;P:pa\\:ss;;');
+  assert.deepEqual(payload, {
+    type: 'wifi',
+    fields: { ssid: 'My;Net', password: 'pa:ss', security: 'WPA', hidden: false },
+  });
+  assert.equal(getPayloadActions(payload, '')[0].text, 'pa:ss');
+});
+
+test('mailto: は件名を付けたメール作成の操作を出す', () => {
+  const payload = classifyPayload('mailto:a@example.com?subject=Hi there');
+  assert.equal(payload.type, 'email');
+  assert.equal(getPayloadActions(payload, '')[0].href, 'mailto:a%40example.com?subject=Hi%20there');
+});
+
+test('MECARD は vCard に変換して保存する', () => {
+  const payload = classifyPayload('MECARD:N:Yamada,Taro;TEL:0312345678;;');
+  assert.equal(payload.type, 'contact');
+  assert.equal(payload.fields.name, 'Taro Yamada');
+  const [action] = getPayloadActions(payload, '');
+  assert.equal(action.kind, 'download');
+  assert.equal(action.filename, 'Taro Yamada.vcf');
+  assert.match(action.content, /^BEGIN:VCARD\r\n[\s\S]*TEL:0312345678\r\nEND:VCARD\r\n$/);
+});
+
+test('geo: は緯度と経度を数値にする', () => {
+  const payload = classifyPayload('geo:35.6,139.7');
+  assert.equal(payload.type, 'geo');
+  assert.equal(payload.fields.latitude, 35.6);
+  assert.equal(payload.fields.longitude, 139.7);
+});
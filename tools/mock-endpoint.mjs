@@ -0,0 +1,62 @@
+// 送信機能の動作確認用の受信サーバー。依存パッケージなしで Node.js だけで動く。
+//
+//   node tools/mock-endpoint.mjs [--port 8787] [--fail-rate 0.3] [--delay 500]
+//
+// 受け取った本文を標準出力に表示し、fail-rate の割合で 503 を返す (再送の確認用)。
+// ブラウザから直接送れるよう CORS のヘッダーを付ける。
+import { createServer } from 'node:http';
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  const value = index >= 0 ? Number(process.argv[index + 1]) : Number.NaN;
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const port = readOption('port', 8787);
+const failRate = readOption('fail-rate', 0);
+const delay = readOption('delay', 0);
+let received = 0;
+
+const server = createServer((request, response) => {
+  response.setHeader('Access-Control-Allow-Origin', request.headers.origin ?? '*');
+  response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  response.setHeader('Access-Control-Allow-Headers', request.headers['access-control-request-headers'] ?? '*');
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204).end();
+    return;
+  }
+
+  if (request.method !== 'POST') {
+    response.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  request.on('data', (chunk) => chunks.push(chunk));
+  request.on('end', () => {
+    setTimeout(() => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      if (Math.random() < failRate) {
+        console.log(`[${new Date().toISOString()}] 503 (失敗を再現) ${body}`);
+        response.writeHead(503).end();
+        return;
+      }
+
+      received += 1;
+      console.log(`[${new Date().toISOString()}] #${received} ${request.url}`);
+      for (const [name, value] of Object.entries(request.headers)) {
+        if (!['host', 'connection', 'content-length'].includes(name)) {
+          console.log(`  ${name}: ${value}`);
+        }
+      }
+      console.log(`  ${body}`);
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ ok: true, received }));
+    }, delay);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`http://localhost:${port}/ で待ち受けています (失敗率 ${failRate}, 遅延 ${delay} ms)`);
+});
@@ -0,0 +1,211 @@
+const DEFAULT_SMOOTHING = 0.5;
+const DEFAULT_MAX_EXTRAPOLATION_MS = 500;
+const MIN_OVERLAP = 0.05;
+// 重なりがなくても、箱の対角線の何倍までの移動なら同じバーコードとみなすか
+const MAX_JUMP_RATIO = 1.5;
+
+function getCenter(box) {
+  return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
+
+function getOverlap(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+function lerp(from, to, amount) {
+  return from + (to - from) * amount;
+}
+
+function translateBox(box, dx, dy) {
+  return { ...box, x: box.x + dx, y: box.y + dy };
+}
+
+function translatePoints(points, dx, dy) {
+  return Array.isArray(points) ? points.map((point) => ({ x: point.x + dx, y: point.y + dy })) : points;
+}
+
+// フレーム間で同じバーコードを対応付け、物理的なバーコードごとに安定した ID を振る。
+// 対応付けは値とフォーマットが同じもの同士で、予測位置との重なり (IoU) が大きい順に行う。
+// 同じ値のラベルが同時に複数写っていれば、それぞれ別のトラックになる。
+// 予測位置から外れて対応付けられなかった値でも、同じ値のトラックがこのフレームで使われていなければ
+// (狙い直した、大きく動かしたなど) そのトラックに戻し、同じ値の結果が二重にできないようにする。
+//
+// 位置は指数平滑化し、速度から検出の合間の位置を外挿する。
+export class BarcodeTracker {
+  constructor({ smoothing = DEFAULT_SMOOTHING, maxExtrapolationMs = DEFAULT_MAX_EXTRAPOLATION_MS } = {}) {
+    this.smoothing = smoothing;
+    this.maxExtrapolationMs = maxExtrapolationMs;
+    this.tracks = new Map();
+    this._nextId = 1;
+  }
+
+  // detections を既存のトラックに対応付ける。戻り値は detections と同じ順のトラック
+  update(detections, now = Date.now()) {
+    const pairs = [];
+    detections.forEach((detection, detectionIndex) => {
+      for (const track of this.tracks.values()) {
+        const score = this._score(track, detection, now);
+        if (score > 0) {
+          pairs.push({ detectionIndex, track, score });
+        }
+      }
+    });
+    pairs.sort((a, b) => b.score - a.score);
+
+    const assigned = new Array(detections.length).fill(null);
+    const usedTracks = new Set();
+    for (const { detectionIndex, track } of pairs) {
+      if (assigned[detectionIndex] || usedTracks.has(track.id)) {
+        continue;
+      }
+      assigned[detectionIndex] = track;
+      usedTracks.add(track.id);
+    }
+
+    return detections.map((detection, index) => {
+      const track = assigned[index];
+      if (track) {
+        return this._correct(track, detection, now);
+      }
+
+      const previous = detection.rawValue ? this._findUnusedTrack(detection, usedTracks) : null;
+      if (previous) {
+        usedTracks.add(previous.id);
+        return this._reattach(previous, detection, now);
+      }
+      return this._create(detection, now);
+    });
+  }
+
+  // 外挿した表示用の位置
+  predict(id, now = Date.now()) {
+    const track = this.tracks.get(id);
+    if (!track) {
+      return null;
+    }
+
+    const elapsed = Math.min(Math.max(0, now - track.lastSeen), this.maxExtrapolationMs);
+    const dx = track.velocity.x * elapsed;
+    const dy = track.velocity.y * elapsed;
+    return { box: translateBox(track.box, dx, dy), points: translatePoints(track.points, dx, dy) };
+  }
+
+  remove(id) {
+    this.tracks.delete(id);
+  }
+
+  reset() {
+    this.tracks.clear();
+  }
+
+  _score(track, detection, now) {
+    if (track.format !== detection.format || (track.rawValue ?? '') !== (detection.rawValue ?? '')) {
+      return 0;
+    }
+
+    const predicted = this.predict(track.id, now).box;
+    const overlap = getOverlap(predicted, detection.box);
+    if (overlap >= MIN_OVERLAP) {
+      return overlap;
+    }
+
+    // 値のないものは位置でしか区別できないため、重なりがなければ別物とみなす
+    if (!detection.rawValue) {
+      return 0;
+    }
+
+    // カメラを素早く動かしたときは重ならないため、近くにあれば重なりより低い点数で対応付ける
+    const from = getCenter(predicted);
+    const to = getCenter(detection.box);
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    const limit = Math.hypot(predicted.width, predicted.height) * MAX_JUMP_RATIO;
+    return distance <= limit ? MIN_OVERLAP * (1 - distance / limit) : 0;
+  }
+
+  // 同じ値で、このフレームでまだ使われていないトラックのうち最後に見えたもの
+  _findUnusedTrack(detection, usedTracks) {
+    let found = null;
+    for (const track of this.tracks.values()) {
+      if (
+        !usedTracks.has(track.id) &&
+        track.format === detection.format &&
+        track.rawValue === detection.rawValue &&
+        (!found || track.lastSeen > found.lastSeen)
+      ) {
+        found = track;
+      }
+    }
+    return found;
+  }
+
+  // 離れた位置に戻ってきたトラックは、平滑化せずに新しい位置から追い直す
+  _reattach(track, detection, now) {
+    track.box = { ...detection.box };
+    track.points = translatePoints(detection.points, 0, 0);
+    track.velocity = { x: 0, y: 0 };
+    track.lastSeen = now;
+    track.hits += 1;
+    return track;
+  }
+
+  _create(detection, now) {
+    const track = {
+      id: this._nextId++,
+      rawValue: detection.rawValue,
+      format: detection.format,
+      box: { ...detection.box },
+      points: translatePoints(detection.points, 0, 0),
+      velocity: { x: 0, y: 0 },
+      firstSeen: now,
+      lastSeen: now,
+      hits: 1,
+    };
+    this.tracks.set(track.id, track);
+    return track;
+  }
+
+  _correct(track, detection, now) {
+    const elapsed = now - track.lastSeen;
+    const predicted = this.predict(track.id, now);
+    const amount = this.smoothing;
+
+    const box = {
+      x: lerp(predicted.box.x, detection.box.x, amount),
+      y: lerp(predicted.box.y, detection.box.y, amount),
+      width: lerp(predicted.box.width, detection.box.width, amount),
+      height: lerp(predicted.box.height, detection.box.height, amount),
+    };
+
+    const canBlendPoints =
+      Array.isArray(predicted.points) &&
+      Array.isArray(detection.points) &&
+      predicted.points.length === detection.points.length;
+    const points = canBlendPoints
+      ? detection.points.map((point, index) => ({
+          x: lerp(predicted.points[index].x, point.x, amount),
+          y: lerp(predicted.points[index].y, point.y, amount),
+        }))
+      : translatePoints(detection.points, 0, 0);
+
+    if (elapsed > 0) {
+      const previous = getCenter(track.box);
+      const current = getCenter(box);
+      track.velocity = {
+        x: lerp(track.velocity.x, (current.x - previous.x) / elapsed, amount),
+        y: lerp(track.velocity.y, (current.y - previous.y) / elapsed, amount),
+      };
+    }
+
+    track.box = box;
+    track.points = points;
+    track.lastSeen = now;
+    track.hits += 1;
+    return track;
+  }
+}
@@ -0,0 +1,310 @@
+import { normalizeFormat, toZXingFormat } from './barcode-formats.js';
+import { applyClahe, invert, rotate, sharpen, stretchContrast, unrotatePoint } from './preprocess.js';
+
+export const ZXING_MODULE_URL = 'https://cdn.jsdelivr.net/npm/@zxing/library@0.20.0/+esm';
+// 同じ版を 1 ファイルの ES モジュールにまとめたもの (docs/offline.md を参照)。ネットワークがなくても読み込める
+export const ZXING_LOCAL_MODULE_URL = new URL('./vendor/zxing-library.esm.js', import.meta.url).href;
+export const ZXING_OFFLINE_ERROR_NAME = 'ZXingOfflineError';
+
+// 同梱版を読み込めなかった場合 (配置から漏れたなど) だけ CDN から読み込む
+export async function loadZXing() {
+  try {
+    return await import(ZXING_LOCAL_MODULE_URL);
+  } catch {
+    try {
+      return await import(ZXING_MODULE_URL);
+    } catch (error) {
+      if (navigator.onLine === false) {
+        const offlineError = new Error('オフラインのため ZXing を読み込めません');
+        offlineError.name = ZXING_OFFLINE_ERROR_NAME;
+        throw offlineError;
+      }
+      throw error;
+    }
+  }
+}
+
+// 何も見つからないフレームが続くときに前処理を試す間隔 (フレーム数)。毎フレーム試すと CPU を使い続けてしまう
+const PREPROCESS_FRAME_INTERVAL = 3;
+// 1 回に前処理を試す時間の上限。全体を TRY_HARDER でデコードすると 1 段でも超えることが多いため、
+// 実際には 1 回に 1〜2 段ずつ試し、続きは次の回に回す
+const PREPROCESS_BUDGET_MS = 120;
+
+// 通常のデコードで何も見つからなかったときに試す前処理。読み取れる見込みが高く、安いものから並べる。
+// 1 次元のリーダーは行を逆向きにも読むため、180° 回転が効くのは主に 2 次元コードで、最後に試す
+const PREPROCESS_STEPS = [
+  { name: 'contrast', transform: (luminances) => stretchContrast(luminances) },
+  { name: 'invert', transform: (luminances) => invert(luminances) },
+  { name: 'global-binarizer', binarizer: 'global' },
+  { name: 'clahe', transform: (luminances, width, height) => applyClahe(luminances, width, height) },
+  // ダークフィールド照明で刻印した DataMatrix は暗い地に明るいモジュールになる
+  { name: 'clahe-invert', transform: (luminances, width, height) => invert(applyClahe(luminances, width, height)) },
+  { name: 'sharpen', transform: (luminances, width, height) => sharpen(luminances, width, height) },
+  { name: 'rotate-90', rotation: 90 },
+  { name: 'rotate-180', rotation: 180 },
+];
+
+export function toGrayscale(imageData) {
+  const { data } = imageData;
+  const luminances = new Uint8ClampedArray(imageData.width * imageData.height);
+
+  for (let i = 0, j = 0; j < luminances.length; j++, i += 4) {
+    // Rec. 709 luma coefficients
+    luminances[j] = Math.round(data[i] * 0.2126 + data[i + 1] * 0.7152 + data[i + 2] * 0.0722);
+  }
+
+  return luminances;
+}
+
+// HybridBinarizer が黒と判定した画素を 0、白を 255 にした輝度配列 (診断表示用)
+export function binarize(zxing, luminances, width, height) {
+  const source = new zxing.RGBLuminanceSource(luminances, width, height);
+  const matrix = new zxing.HybridBinarizer(source).getBlackMatrix();
+  const output = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      output[y * width + x] = matrix.get(x, y) ? 0 : 255;
+    }
+  }
+  return output;
+}
+
+export function createErrorCounts() {
+  return { notFound: 0, format: 0, checksum: 0, other: 0 };
+}
+
+export function addErrorCounts(target, counts) {
+  for (const key of Object.keys(target)) {
+    target[key] += counts?.[key] ?? 0;
+  }
+  return target;
+}
+
+// メインスレッドとワーカーの双方で使う ZXing のデコード処理
+export class ZXingDecoder {
+  constructor(zxing, { formats = null, preprocess = false } = {}) {
+    const {
+      MultiFormatReader,
+      GenericMultipleBarcodeReader,
+      DecodeHintType,
+      BarcodeFormat,
+      BinaryBitmap,
+      HybridBinarizer,
+      GlobalHistogramBinarizer,
+      RGBLuminanceSource,
+      NotFoundException,
+      FormatException,
+      ChecksumException,
+    } = zxing;
+
+    this.BinaryBitmap = BinaryBitmap;
+    this.HybridBinarizer = HybridBinarizer;
+    this.GlobalHistogramBinarizer = GlobalHistogramBinarizer ?? HybridBinarizer;
+    this.preprocess = preprocess;
+    this.RGBLuminanceSource = RGBLuminanceSource;
+    this.NotFoundException = NotFoundException;
+    this.FormatException = FormatException;
+    this.ChecksumException = ChecksumException;
+    this.BarcodeFormat = BarcodeFormat;
+
+    this.reader = new MultiFormatReader();
+    this.multipleReader = GenericMultipleBarcodeReader
+      ? new GenericMultipleBarcodeReader(this.reader)
+      : null;
+    this.hints = new Map();
+    if (DecodeHintType) {
+      this.hints.set(DecodeHintType.TRY_HARDER, true);
+
+      const possibleFormats = (formats ?? [])
+        .map((format) => BarcodeFormat[toZXingFormat(format)])
+        .filter((format) => format !== undefined);
+      if (possibleFormats.length) {
+        this.hints.set(DecodeHintType.POSSIBLE_FORMATS, possibleFormats);
+      }
+    }
+
+    this._formatNameCache = new Map();
+    this.errorCounts = createErrorCounts();
+    // 続けて何も見つからなかったフレームの数と、次に試す前処理の位置
+    this._emptyFrames = 0;
+    this._preprocessIndex = 0;
+  }
+
+  // 前回の呼び出し以降に結果なしとして握りつぶした例外の種類ごとの件数
+  takeErrorCounts() {
+    const counts = this.errorCounts;
+    this.errorCounts = createErrorCounts();
+    return counts;
+  }
+
+  decode(luminances, width, height) {
+    const detections = this._decodeLuminances(luminances, width, height);
+    if (detections.length) {
+      this._emptyFrames = 0;
+      return detections;
+    }
+    if (!this.preprocess) {
+      return detections;
+    }
+
+    this._emptyFrames += 1;
+    if (this._emptyFrames % PREPROCESS_FRAME_INTERVAL !== 0) {
+      return detections;
+    }
+    return this._decodeWithPreprocessing(luminances, width, height);
+  }
+
+  // 前回の続きの前処理から、時間の上限まで順に試す (少なくとも 1 段は試す)。
+  // 読み取れた前処理は次の回も最初に試す。
+  // 変換したフレームで見つかった座標は元のフレームの座標に戻して返す
+  _decodeWithPreprocessing(luminances, width, height) {
+    const deadline = performance.now() + PREPROCESS_BUDGET_MS;
+
+    for (let tried = 0; tried < PREPROCESS_STEPS.length; tried += 1) {
+      if (tried > 0 && performance.now() > deadline) {
+        break;
+      }
+
+      const index = this._preprocessIndex;
+      const step = PREPROCESS_STEPS[index];
+      this._preprocessIndex = (index + 1) % PREPROCESS_STEPS.length;
+
+      let detections;
+      if (step.rotation) {
+        const rotated = rotate(luminances, width, height, step.rotation);
+        detections = this._decodeLuminances(rotated.luminances, rotated.width, rotated.height, {
+          width,
+          height,
+          mapPoint: (point) => unrotatePoint(point, step.rotation, width, height),
+        });
+      } else {
+        const transformed = step.transform ? step.transform(luminances, width, height) : luminances;
+        detections = this._decodeLuminances(transformed, width, height, { binarizer: step.binarizer });
+      }
+
+      if (detections.length) {
+        this._preprocessIndex = index;
+        return detections.map((detection) => ({ ...detection, preprocess: step.name }));
+      }
+    }
+
+    return [];
+  }
+
+  _decodeLuminances(
+    luminances,
+    width,
+    height,
+    { binarizer = 'hybrid', mapPoint = null, width: frameWidth = width, height: frameHeight = height } = {},
+  ) {
+    const luminanceSource = new this.RGBLuminanceSource(luminances, width, height);
+    const Binarizer = binarizer === 'global' ? this.GlobalHistogramBinarizer : this.HybridBinarizer;
+    const binaryBitmap = new this.BinaryBitmap(new Binarizer(luminanceSource));
+
+    try {
+      const results = this.multipleReader?.decodeMultiple
+        ? this.multipleReader.decodeMultiple(binaryBitmap, this.hints)
+        : [this.reader.decode(binaryBitmap, this.hints)];
+      this.reader.reset();
+      return results.map((result) => this._mapResult(result, frameWidth, frameHeight, mapPoint));
+    } catch (error) {
+      this.reader.reset();
+
+      const kind = this._getNoResultErrorKind(error);
+      if (kind) {
+        this.errorCounts[kind] += 1;
+        return [];
+      }
+
+      throw error;
+    }
+  }
+
+  // 結果なしを表す例外なら 'notFound' / 'format' / 'checksum'、それ以外は null
+  _getNoResultErrorKind(error) {
+    const matches = (ErrorClass, name) => {
+      if (ErrorClass && error instanceof ErrorClass) {
+        return true;
+      }
+      return error?.name === name;
+    };
+
+    if (matches(this.NotFoundException, 'NotFoundException')) return 'notFound';
+    if (matches(this.FormatException, 'FormatException')) return 'format';
+    if (matches(this.ChecksumException, 'ChecksumException')) return 'checksum';
+    return null;
+  }
+
+  _mapResult(result, fallbackWidth, fallbackHeight, mapPoint = null) {
+    const rawPoints = result.getResultPoints?.() ?? [];
+    const points = rawPoints
+      .map((point) => {
+        const x = point?.getX?.();
+        const y = point?.getY?.();
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+          return null;
+        }
+        return mapPoint ? mapPoint({ x, y }) : { x, y };
+      })
+      .filter(Boolean);
+    const box = this._pointsToRect(points, fallbackWidth, fallbackHeight);
+
+    return {
+      rawValue: result.getText?.() ?? '',
+      format: this._formatToString(result.getBarcodeFormat?.()),
+      box,
+      points,
+    };
+  }
+
+  _pointsToRect(points, fallbackWidth, fallbackHeight) {
+    if (!points || !points.length) {
+      return { x: 0, y: 0, width: fallbackWidth, height: fallbackHeight };
+    }
+
+    let minX = Number.POSITIVE_INFINITY;
+    let minY = Number.POSITIVE_INFINITY;
+    let maxX = Number.NEGATIVE_INFINITY;
+    let maxY = Number.NEGATIVE_INFINITY;
+
+    for (const point of points) {
+      if (!point) continue;
+      const x = point?.x ?? point?.getX?.();
+      const y = point?.y ?? point?.getY?.();
+      if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+
+    if (!Number.isFinite(minX) || !Number.isFinite(minY) || !Number.isFinite(maxX) || !Number.isFinite(maxY)) {
+      return { x: 0, y: 0, width: fallbackWidth, height: fallbackHeight };
+    }
+
+    const padding = 8;
+    const x = Math.max(0, minX - padding);
+    const y = Math.max(0, minY - padding);
+    const width = Math.min(fallbackWidth, maxX + padding) - x;
+    const height = Math.min(fallbackHeight, maxY + padding) - y;
+
+    return { x, y, width: Math.max(1, width), height: Math.max(1, height) };
+  }
+
+  _formatToString(format) {
+    if (this._formatNameCache.has(format)) {
+      return this._formatNameCache.get(format);
+    }
+
+    // BarcodeDetector と同じ表記 (ean_13 など) で返す
+    for (const [name, value] of Object.entries(this.BarcodeFormat)) {
+      if (value === format) {
+        const normalized = normalizeFormat(name);
+        this._formatNameCache.set(format, normalized);
+        return normalized;
+      }
+    }
+
+    return 'unknown';
+  }
+}
@@ -0,0 +1,66 @@
+import { loadZXing, toGrayscale, ZXingDecoder } from './zxing-decoder.js';
+
+let zxingModule = null;
+let decoder = null;
+let options = {};
+let canvas = null;
+let ctx = null;
+
+function readImageData(frame) {
+  const { width, height } = frame;
+  if (!canvas) {
+    canvas = new OffscreenCanvas(width, height);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  } else if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  ctx.drawImage(frame, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height);
+}
+
+function handleDetect({ id, frame }) {
+  try {
+    const imageData = readImageData(frame);
+    const detections = decoder.decode(toGrayscale(imageData), imageData.width, imageData.height);
+    self.postMessage({ type: 'result', id, detections, errorCounts: decoder.takeErrorCounts() });
+  } catch (error) {
+    self.postMessage({
+      type: 'result',
+      id,
+      detections: [],
+      errorCounts: decoder?.takeErrorCounts(),
+      error: String(error?.message || error),
+    });
+  } finally {
+    frame.close?.();
+  }
+}
+
+// 読み込み前に届いた設定は保持しておき、読み込み後に反映する
+function handleConfigure(message) {
+  options = { formats: message.formats ?? null, preprocess: Boolean(message.preprocess) };
+  if (zxingModule) {
+    decoder = new ZXingDecoder(zxingModule, options);
+  }
+}
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  if (message?.type === 'detect') {
+    handleDetect(message);
+  } else if (message?.type === 'configure') {
+    handleConfigure(message);
+  }
+});
+
+loadZXing()
+  .then((zxing) => {
+    zxingModule = zxing;
+    decoder = new ZXingDecoder(zxing, options);
+    self.postMessage({ type: 'ready' });
+  })
+  .catch((error) => {
+    self.postMessage({ type: 'error', message: String(error?.message || error) });
+  });